@@ -10,6 +10,209 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
 import { chromium } from 'playwright';
 import * as cheerio from 'cheerio';
 import fetch from 'node-fetch';
+import { generateOpenAPI, openAPIFilename } from './lib/openapi.js';
+import { generatePostman, postmanFilenames } from './lib/postman.js';
+import { generateTypeScriptClient, typescriptClientFilename } from './lib/typescript-client.js';
+import { replayHAR } from './lib/har.js';
+import { CaptureEngine } from './lib/capture-engine.js';
+import { replayJournal } from './lib/capture-journal.js';
+import { diffCaptures, renderDiffMarkdown, diffFilename } from './lib/capture-diff.js';
+import { MockServer, unmatchedLogFilename } from './lib/mock-server.js';
+import { prepareReplay, readReplayResponse, compareResponses } from './lib/replay.js';
+import { Redactor, REDACTION_MODES } from './lib/redaction.js';
+import { parseGraphQLRequest } from './lib/graphql.js';
+import { Scope } from './lib/scope.js';
+
+// Shared by every tool that returns or writes captured data
+const REDACTION_SCHEMA = {
+  type: 'object',
+  description: 'Secret redaction policy for reports and tool output (default: masked with built-in rules)',
+  properties: {
+    mode: {
+      type: 'string',
+      enum: REDACTION_MODES,
+      description: 'full = raw values, masked = prefix/suffix + hash, placeholder = {{AUTH_TOKEN}}-style variables',
+    },
+    headers: { type: 'array', items: { type: 'string' }, description: 'Extra header names to redact' },
+    cookies: { type: 'array', items: { type: 'string' }, description: 'Cookie names to redact (default: all cookies)' },
+    jsonKeys: { type: 'array', items: { type: 'string' }, description: 'Extra JSON/query key substrings to redact' },
+    patterns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: { type: 'string' }, regex: { type: 'string' } },
+        required: ['name', 'regex'],
+      },
+      description: 'Extra regexes redacted anywhere in text (built in: JWT, AWS keys and common API key formats)',
+    },
+  },
+};
+
+// Which traffic is documented; the rest is only summarized
+const SCOPE_SCHEMA = {
+  type: 'object',
+  description: 'Capture scope (default: every host except known analytics/ad/telemetry trackers)',
+  properties: {
+    includeHosts: { type: 'array', items: { type: 'string' }, description: 'Host globs to capture, e.g. "*.example.com" (matches example.com too)' },
+    excludeHosts: { type: 'array', items: { type: 'string' }, description: 'Host globs to skip' },
+    includePaths: { type: 'array', items: { type: 'string' }, description: 'Path regexes to capture, e.g. "^/api/"' },
+    excludePaths: { type: 'array', items: { type: 'string' }, description: 'Path regexes to skip' },
+    methods: { type: 'array', items: { type: 'string' }, description: 'HTTP methods to capture (default: all)' },
+    blockTrackers: { type: 'boolean', description: 'Apply the built-in tracker denylist; set false to keep tracker traffic (default: true)' },
+  },
+};
+
+// What the auto-clickers must leave alone
+const GUARD_SCHEMA = {
+  type: 'object',
+  description: 'Interaction guard (default: never click destructive, logout, payment or external-submit elements)',
+  properties: {
+    allow: { type: 'array', items: { type: 'string' }, description: 'Label regexes that may be clicked even if the built-in denylist matches, e.g. "^Remove filter$"' },
+    deny: { type: 'array', items: { type: 'string' }, description: 'Extra label regexes that must never be clicked, e.g. "archive|publish"' },
+    defaults: { type: 'boolean', description: 'Apply the built-in denylist (default: true)' },
+  },
+};
+
+// Block state-changing requests instead of sending them
+const READ_ONLY_SCHEMA = {
+  type: ['boolean', 'object'],
+  description: 'Read-only mode: true, or a policy. POST/PUT/PATCH/DELETE requests are documented but never sent (GraphQL queries still go through)',
+  properties: {
+    methods: { type: 'array', items: { type: 'string' }, description: 'Methods to block (default: POST, PUT, PATCH, DELETE)' },
+    allow: { type: 'array', items: { type: 'string' }, description: 'Mutations safe to send: path regexes, optionally prefixed with a method, e.g. "POST ^/api/search"' },
+    allowGraphQLQueries: { type: 'boolean', description: 'Send GraphQL POSTs that only carry queries (default: true)' },
+    mode: { type: 'string', enum: ['fail', 'hold'], description: 'Fail blocked requests in the page, or leave them pending (default: fail)' },
+  },
+};
+
+// Optional .proto files for protobuf / gRPC-web bodies
+const PROTOS_SCHEMA = {
+  type: 'object',
+  description: 'Protobuf schemas for named fields (without them protobuf bodies decode to field-number trees)',
+  properties: {
+    files: { type: 'array', items: { type: 'string' }, description: 'Paths to .proto files (gRPC-web methods are matched automatically)' },
+    types: {
+      type: 'object',
+      description: 'Message type per path for plain protobuf endpoints: { "/api/feed": "pkg.FeedResponse" } or { "POST /api/feed": { "request": "pkg.Req", "response": "pkg.Resp" } }',
+    },
+  },
+};
+
+// Named session that later runs resume and merge into
+const SESSION_SCHEMA = {
+  type: 'string',
+  description: 'Session name (letters, digits, ".", "-", "_"): earlier runs saved under sessions/<name>/ are replayed and merged with this one',
+};
+
+// Which browser to capture in
+const BROWSER_SCHEMA = {
+  type: 'string',
+  description: 'Debug port ("9222"), CDP URL ("http://127.0.0.1:9222", "ws://host/devtools/browser/<id>") or "launch" for a local Chromium (default: launch)',
+};
+
+const LAUNCH_SCHEMA = {
+  type: 'object',
+  description: 'Options for browser: "launch"',
+  properties: {
+    userDataDir: { type: 'string', description: 'Persistent profile directory (keeps logins between runs)' },
+    storageState: { type: 'string', description: 'Playwright storage-state JSON file with cookies and localStorage to start from' },
+    headless: { type: 'boolean', description: 'Run without a window (default: true)' },
+    channel: { type: 'string', description: 'Installed browser to use instead of bundled Chromium, e.g. "chrome" or "msedge"' },
+  },
+};
+
+const CAPTURE_EVERYTHING_TOOL = {
+  name: 'browser_capture_everything',
+  description: 'Capture EVERYTHING from a Chrome/Edge/AdsPower browser or a launched Chromium - headers, cookies, tokens, payloads, preview data. Outputs clean endpoints.md file',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      browser: BROWSER_SCHEMA,
+      launch: LAUNCH_SCHEMA,
+      adspowerPort: {
+        type: 'string',
+        description: 'AdsPower debug port (e.g., 63812); same as browser',
+      },
+      targetUrl: {
+        type: 'string',
+        description: 'Target URL to capture endpoints from',
+      },
+      duration: {
+        type: 'number',
+        description: 'Duration in seconds to capture (default: 30)',
+        default: 30,
+      },
+      har: {
+        type: 'boolean',
+        description: 'Also write a HAR 1.2 file with full headers, bodies, timings and cookies',
+        default: false,
+      },
+      journal: {
+        type: 'boolean',
+        description: 'Stream events to an on-disk NDJSON journal under journals/ so a crash loses nothing (default: true)',
+        default: true,
+      },
+      redaction: REDACTION_SCHEMA,
+      scope: SCOPE_SCHEMA,
+      protos: PROTOS_SCHEMA,
+      guard: GUARD_SCHEMA,
+      readOnly: READ_ONLY_SCHEMA,
+      session: SESSION_SCHEMA,
+    },
+    required: ['targetUrl'],
+  },
+};
+
+const COMPREHENSIVE_COMMANDER_TOOL = {
+  name: 'browser_comprehensive_commander',
+  description: 'Advanced capture with automatic navigation - discovers pages through API responses and clicks all buttons. Captures EVERYTHING + navigates automatically',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      browser: BROWSER_SCHEMA,
+      launch: LAUNCH_SCHEMA,
+      adspowerPort: {
+        type: 'string',
+        description: 'AdsPower debug port (e.g., 63812); same as browser',
+      },
+      targetUrl: {
+        type: 'string',
+        description: 'Target URL to start capture from',
+      },
+      duration: {
+        type: 'number',
+        description: 'Duration in seconds to capture and navigate (default: 60)',
+        default: 60,
+      },
+      har: {
+        type: 'boolean',
+        description: 'Also write a HAR 1.2 file with full headers, bodies, timings and cookies',
+        default: false,
+      },
+      journal: {
+        type: 'boolean',
+        description: 'Stream events to an on-disk NDJSON journal under journals/ so a crash loses nothing (default: true)',
+        default: true,
+      },
+      redaction: REDACTION_SCHEMA,
+      scope: SCOPE_SCHEMA,
+      protos: PROTOS_SCHEMA,
+      guard: GUARD_SCHEMA,
+      readOnly: READ_ONLY_SCHEMA,
+      session: SESSION_SCHEMA,
+    },
+    required: ['targetUrl'],
+  },
+};
+
+// The original AdsPower-named tools, kept as aliases with adspowerPort standing in for browser
+function adspowerAlias(tool, name) {
+  return {
+    name,
+    description: `Alias of ${tool.name} for AdsPower profiles (adspowerPort is the profile's debug port)`,
+    inputSchema: { ...tool.inputSchema, required: ['adspowerPort', 'targetUrl'] },
+  };
+}
 
 class EndpointReconServer {
   constructor() {
@@ -25,6 +228,9 @@ class EndpointReconServer {
       }
     );
 
+    // Running mock servers by port
+    this.mockServers = new Map();
+
     this.setupToolHandlers();
   }
 
@@ -51,6 +257,8 @@ class EndpointReconServer {
                 description: 'Capture request/response payloads',
                 default: true,
               },
+              redaction: REDACTION_SCHEMA,
+              scope: SCOPE_SCHEMA,
             },
             required: ['url'],
           },
@@ -76,6 +284,7 @@ class EndpointReconServer {
                 description: 'Fuzz parameters with test payloads',
                 default: true,
               },
+              redaction: REDACTION_SCHEMA,
             },
             required: ['url'],
           },
@@ -95,54 +304,260 @@ class EndpointReconServer {
                 description: 'Capture full page screenshot',
                 default: true,
               },
+              redaction: REDACTION_SCHEMA,
             },
             required: ['url'],
           },
         },
+        CAPTURE_EVERYTHING_TOOL,
+        COMPREHENSIVE_COMMANDER_TOOL,
+        adspowerAlias(CAPTURE_EVERYTHING_TOOL, 'adspower_capture_everything'),
+        adspowerAlias(COMPREHENSIVE_COMMANDER_TOOL, 'adspower_comprehensive_commander'),
+        {
+          name: 'export_openapi',
+          description: 'Convert a capture JSON file (endpoints-{domain}.json) into an OpenAPI 3.1 specification',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              captureFile: {
+                type: 'string',
+                description: 'Path to the endpoints-{domain}.json file produced by a capture',
+              },
+              outputFile: {
+                type: 'string',
+                description: 'Where to write the spec (default: openapi-{domain}.json next to the capture file)',
+              },
+              title: {
+                type: 'string',
+                description: 'API title for the info block (default: "{domain} API")',
+              },
+              redaction: REDACTION_SCHEMA,
+            },
+            required: ['captureFile'],
+          },
+        },
+        {
+          name: 'export_postman',
+          description: 'Convert a capture JSON file (endpoints-{domain}.json) into a Postman v2.1 collection plus an environment holding the auth values as {{variables}}',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              captureFile: {
+                type: 'string',
+                description: 'Path to the endpoints-{domain}.json file produced by a capture',
+              },
+              outputDir: {
+                type: 'string',
+                description: 'Directory for the collection and environment files (default: next to the capture file)',
+              },
+              name: {
+                type: 'string',
+                description: 'Collection and environment name (default: "{domain} API")',
+              },
+              redaction: REDACTION_SCHEMA,
+            },
+            required: ['captureFile'],
+          },
+        },
+        {
+          name: 'generate_typescript_client',
+          description: 'Generate a typed TypeScript client from a capture JSON file (endpoints-{domain}.json): one function per endpoint with request/response types, path parameters as arguments, and a configurable base URL and auth hook',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              captureFile: {
+                type: 'string',
+                description: 'Path to the endpoints-{domain}.json file produced by a capture',
+              },
+              outputFile: {
+                type: 'string',
+                description: 'Where to write the module (default: client-{domain}.ts next to the capture file)',
+              },
+              baseUrl: {
+                type: 'string',
+                description: 'Default base URL baked into the client (default: the captured domain\'s origin)',
+              },
+            },
+            required: ['captureFile'],
+          },
+        },
+        {
+          name: 'import_har',
+          description: 'Import a HAR file (from devtools, proxies or a previous capture) and regenerate the endpoints markdown/JSON/OpenAPI reports offline',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              harFile: {
+                type: 'string',
+                description: 'Path to the .har file',
+              },
+              domain: {
+                type: 'string',
+                description: 'Domain to name the reports after (default: first API host in the HAR)',
+              },
+              outputDir: {
+                type: 'string',
+                description: 'Directory for the generated reports (default: next to the HAR file)',
+              },
+              redaction: REDACTION_SCHEMA,
+              scope: SCOPE_SCHEMA,
+              protos: PROTOS_SCHEMA,
+            },
+            required: ['harFile'],
+          },
+        },
+        {
+          name: 'recover_capture',
+          description: 'Rebuild the endpoints markdown/JSON/OpenAPI reports from a capture journal, e.g. after a crashed or interrupted run',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              journalDir: {
+                type: 'string',
+                description: 'Journal session directory (journals/<timestamp>) containing journal.ndjson and bodies/',
+              },
+              domain: {
+                type: 'string',
+                description: 'Domain to name the reports after (default: first API host in the journal)',
+              },
+              outputDir: {
+                type: 'string',
+                description: 'Directory for the generated reports (default: the journal directory)',
+              },
+              redaction: REDACTION_SCHEMA,
+              scope: SCOPE_SCHEMA,
+              protos: PROTOS_SCHEMA,
+            },
+            required: ['journalDir'],
+          },
+        },
+        {
+          name: 'diff_captures',
+          description: 'Compare two capture JSON files (e.g. before and after a release): added/removed endpoints, method changes, query and body fields, response shapes, status codes and new auth headers, as markdown and JSON',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              beforeFile: {
+                type: 'string',
+                description: 'Path to the older endpoints-{domain}.json',
+              },
+              afterFile: {
+                type: 'string',
+                description: 'Path to the newer endpoints-{domain}.json',
+              },
+              outputFile: {
+                type: 'string',
+                description: 'Where to write the markdown diff; the JSON diff goes next to it (default: diff-{domain}.md next to afterFile)',
+              },
+            },
+            required: ['beforeFile', 'afterFile'],
+          },
+        },
         {
-          name: 'adspower_capture_everything',
-          description: 'Capture EVERYTHING from AdsPower browser - headers, cookies, tokens, payloads, preview data. Outputs clean endpoints.md file',
+          name: 'serve_mock',
+          description: 'Start, stop or inspect a local mock server that replays a capture JSON file: requests are matched by method and templated path (GraphQL/tRPC by operation), the closest recorded response is replayed with its status, headers and body, and unmatched requests are logged',
           inputSchema: {
             type: 'object',
             properties: {
-              adspowerPort: {
+              action: {
                 type: 'string',
-                description: 'AdsPower debug port (e.g., 63812)',
+                enum: ['start', 'stop', 'status'],
+                description: 'start a server, stop one (or all), or report hits and unmatched requests (default: start)',
+                default: 'start',
               },
-              targetUrl: {
+              captureFile: {
                 type: 'string',
-                description: 'Target URL to capture endpoints from',
+                description: 'Path to the endpoints-{domain}.json file to serve (required for start)',
               },
-              duration: {
+              port: {
                 type: 'number',
-                description: 'Duration in seconds to capture (default: 30)',
-                default: 30,
+                description: 'Port to listen on (default: 4010; for stop/status: which server, default all)',
               },
+              latency: {
+                type: ['number', 'object'],
+                description: 'Delay added to every response: milliseconds, or { min, max } for a random delay',
+                properties: { min: { type: 'number' }, max: { type: 'number' } },
+              },
+              rules: {
+                type: 'array',
+                description: 'Checked before the recorded endpoints, first match wins. Match on method, path (templated like /api/users/{userId}, or a regex starting with ^), query values and body values by dotted path; answer with a literal response or the recorded sample with a given status',
+                items: {
+                  type: 'object',
+                  properties: {
+                    method: { type: 'string' },
+                    path: { type: 'string' },
+                    query: { type: 'object', description: 'Query parameters that must have these values' },
+                    body: { type: 'object', description: 'Body values by dotted path, e.g. { "user.role": "guest" }' },
+                    status: { type: 'number', description: 'Status of the literal response, or which recorded status to replay' },
+                    headers: { type: 'object', description: 'Extra response headers' },
+                    response: { description: 'Literal response body (omit to replay a recorded one)' },
+                    latency: { type: 'number', description: 'Delay for this rule in milliseconds' },
+                  },
+                },
+              },
+              unmatchedLog: {
+                type: 'string',
+                description: 'NDJSON file unmatched requests are appended to (default: mock-unmatched-{domain}.ndjson next to the capture file)',
+              },
+              redaction: REDACTION_SCHEMA,
             },
-            required: ['adspowerPort', 'targetUrl'],
           },
         },
         {
-          name: 'adspower_comprehensive_commander',
-          description: 'Advanced capture with automatic navigation - discovers pages through API responses and clicks all buttons. Captures EVERYTHING + navigates automatically',
+          name: 'replay_request',
+          description: 'Re-send a captured request (picked by endpoint key and sample index from a capture JSON file) with its original headers, cookies and body, optionally overriding headers, query parameters, JSON body paths or auth, and diff the new response against the recorded one. The request is really sent (use dryRun to preview it) and must be inside the capture\'s scope. Needs a capture saved with redaction mode "full", or overrides for every redacted value',
           inputSchema: {
             type: 'object',
             properties: {
-              adspowerPort: {
+              captureFile: {
                 type: 'string',
-                description: 'AdsPower debug port (e.g., 63812)',
+                description: 'Path to the endpoints-{domain}.json file produced by a capture',
               },
-              targetUrl: {
+              endpoint: {
                 type: 'string',
-                description: 'Target URL to start capture from',
+                description: 'Endpoint key as in the capture, e.g. "GET /api/users/{userId}" or "POST /graphql GetUser"',
+              },
+              sampleIndex: {
+                type: 'number',
+                description: 'Which captured request of the endpoint to replay (default: 0, the oldest kept)',
+                default: 0,
+              },
+              overrides: {
+                type: 'object',
+                description: 'Changes applied before sending',
+                properties: {
+                  headers: { type: 'object', description: 'Headers to set; null removes one' },
+                  query: { type: 'object', description: 'Query parameters to set; null removes one' },
+                  json: { type: 'object', description: 'JSON body values by dotted path, e.g. { "user.id": 42, "items.0.qty": 3 }' },
+                  auth: {
+                    type: 'object',
+                    description: 'Credentials to swap in, e.g. another user\'s token to test access control',
+                    properties: {
+                      bearer: { type: 'string', description: 'Authorization: Bearer <token>' },
+                      basic: {
+                        type: 'object',
+                        properties: { username: { type: 'string' }, password: { type: 'string' } },
+                      },
+                      cookies: { type: 'object', description: 'Cookies to set; null removes one' },
+                      none: { type: 'boolean', description: 'Strip the captured auth headers and cookies first' },
+                    },
+                  },
+                },
+              },
+              dryRun: {
+                type: 'boolean',
+                description: 'Return the prepared request without sending it',
+                default: false,
               },
-              duration: {
+              timeout: {
                 type: 'number',
-                description: 'Duration in seconds to capture and navigate (default: 60)',
-                default: 60,
+                description: 'Request timeout in milliseconds (default: 30000)',
+                default: 30000,
               },
+              redaction: REDACTION_SCHEMA,
+              scope: SCOPE_SCHEMA,
             },
-            required: ['adspowerPort', 'targetUrl'],
+            required: ['captureFile', 'endpoint'],
           },
         },
       ],
@@ -158,17 +573,35 @@ class EndpointReconServer {
           return await this.analyzeEndpoint(args);
         case 'capture_preview':
           return await this.capturePreview(args);
+        case 'browser_capture_everything':
         case 'adspower_capture_everything':
-          return await this.adspowerCaptureEverything(args);
+          return await this.captureEverything(args);
+        case 'browser_comprehensive_commander':
         case 'adspower_comprehensive_commander':
-          return await this.adspowerComprehensiveCommander(args);
+          return await this.comprehensiveCommander(args);
+        case 'export_openapi':
+          return await this.exportOpenAPI(args);
+        case 'export_postman':
+          return await this.exportPostman(args);
+        case 'generate_typescript_client':
+          return await this.generateTypeScriptClient(args);
+        case 'import_har':
+          return await this.importHAR(args);
+        case 'recover_capture':
+          return await this.recoverCapture(args);
+        case 'diff_captures':
+          return await this.diffCaptures(args);
+        case 'serve_mock':
+          return await this.serveMock(args);
+        case 'replay_request':
+          return await this.replayRequest(args);
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
     });
   }
 
-  async discoverEndpoints({ url, depth = 2, capturePayloads = true }) {
+  async discoverEndpoints({ url, depth = 2, capturePayloads = true, redaction, scope: scopePolicy }) {
     const browser = await chromium.launch({ headless: true });
     const context = await browser.newContext({
       userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
@@ -176,12 +609,16 @@ class EndpointReconServer {
 
     const endpoints = new Map();
     const visitedUrls = new Set();
+    const scope = new Scope(scopePolicy);
     
     // Network interception
     context.on('request', request => {
       const reqUrl = request.url();
       const method = request.method();
       
+      // Trackers and out-of-scope hosts are only counted
+      if (reqUrl.startsWith('http') && !scope.allows(method, reqUrl)) return;
+      
       if (!endpoints.has(reqUrl)) {
         endpoints.set(reqUrl, {
           url: reqUrl,
@@ -247,33 +684,39 @@ class EndpointReconServer {
     await browser.close();
 
     // Process results
-    const discoveredEndpoints = Array.from(endpoints.values()).map(endpoint => ({
-      ...endpoint,
-      parameterCount: this.extractParameters(endpoint.url).length,
-      parameters: this.extractParameters(endpoint.url),
-      isAPI: this.isAPIEndpoint(endpoint.url),
-      contentTypes: [...new Set(endpoint.payloads.map(p => p.contentType))],
-    }));
+    const discoveredEndpoints = Array.from(endpoints.values()).map(endpoint => {
+      const graphqlOperations = this.graphqlOperations(endpoint);
+      return {
+        ...endpoint,
+        parameterCount: this.extractParameters(endpoint.url).length,
+        parameters: this.extractParameters(endpoint.url),
+        isAPI: this.isAPIEndpoint(endpoint.url, graphqlOperations),
+        graphqlOperations,
+        contentTypes: [...new Set(endpoint.payloads.map(p => p.contentType))],
+      };
+    });
 
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify({
+          text: JSON.stringify(new Redactor(redaction).deep({
             summary: {
               totalEndpoints: discoveredEndpoints.length,
               apiEndpoints: discoveredEndpoints.filter(e => e.isAPI).length,
               endpointsWithPayloads: discoveredEndpoints.filter(e => e.payloads.length > 0).length,
+              graphqlOperations: [...new Set(discoveredEndpoints.flatMap(e => e.graphqlOperations))],
               uniqueMethods: [...new Set(discoveredEndpoints.map(e => e.method))],
             },
             endpoints: discoveredEndpoints,
-          }, null, 2),
+            outOfScope: scope.summary(),
+          }), null, 2),
         },
       ],
     };
   }
 
-  async analyzeEndpoint({ url, method = 'GET', fuzz = true }) {
+  async analyzeEndpoint({ url, method = 'GET', fuzz = true, redaction }) {
     const results = {
       url,
       method,
@@ -340,13 +783,13 @@ class EndpointReconServer {
       content: [
         {
           type: 'text',
-          text: JSON.stringify(results, null, 2),
+          text: JSON.stringify(new Redactor(redaction).deep(results), null, 2),
         },
       ],
     };
   }
 
-  async capturePreview({ url, fullPage = true }) {
+  async capturePreview({ url, fullPage = true, redaction }) {
     const browser = await chromium.launch({ headless: true });
     const page = await browser.newPage();
     
@@ -380,7 +823,7 @@ class EndpointReconServer {
           {
             type: 'text',
             text: JSON.stringify({
-              ...pageInfo,
+              ...new Redactor(redaction).deep(pageInfo),
               screenshotBase64: screenshot.toString('base64'),
             }, null, 2),
           },
@@ -392,7 +835,7 @@ class EndpointReconServer {
     }
   }
 
-  async adspowerCaptureEverything({ adspowerPort, targetUrl, duration = 30 }) {
+  async captureEverything({ browser, adspowerPort, launch, targetUrl, duration = 30, har = false, journal = true, redaction, protos, scope, guard, readOnly, session }) {
     const { spawn } = await import('child_process');
     const path = await import('path');
     const { fileURLToPath } = await import('url');
@@ -404,10 +847,26 @@ class EndpointReconServer {
     // Path to capture-everything-recon.js
     const scriptPath = path.join(__dirname, 'tools', 'capture-everything-recon.js');
     
-    console.log(`🎯 Launching capture on AdsPower port ${adspowerPort}...`);
+    const browserTarget = browser || adspowerPort || 'launch';
+    console.log(`🎯 Launching capture on ${browserTarget}...`);
     
     return new Promise((resolve, reject) => {
-      const process = spawn('node', [scriptPath, adspowerPort, targetUrl, duration.toString()], {
+      const scriptArgs = [scriptPath, browserTarget, targetUrl, duration.toString()];
+      if (launch?.userDataDir) scriptArgs.push(`--user-data-dir=${launch.userDataDir}`);
+      if (launch?.storageState) scriptArgs.push(`--storage-state=${launch.storageState}`);
+      if (launch?.channel) scriptArgs.push(`--channel=${launch.channel}`);
+      if (launch?.headless === false) scriptArgs.push('--headed');
+      if (har) scriptArgs.push('--har');
+      if (!journal) scriptArgs.push('--no-journal');
+      if (redaction) scriptArgs.push(`--redaction=${JSON.stringify(redaction)}`);
+      (protos?.files || []).forEach(file => scriptArgs.push(`--proto=${file}`));
+      if (protos?.types) scriptArgs.push(`--proto-types=${JSON.stringify(protos.types)}`);
+      if (scope) scriptArgs.push(`--scope=${JSON.stringify(scope)}`);
+      if (guard) scriptArgs.push(`--guard=${JSON.stringify(guard)}`);
+      if (readOnly) scriptArgs.push(readOnly === true ? '--read-only' : `--read-only=${JSON.stringify(readOnly)}`);
+      if (session) scriptArgs.push(`--session=${session}`);
+      
+      const process = spawn('node', scriptArgs, {
         cwd: path.dirname(__dirname),
       });
       
@@ -451,10 +910,12 @@ class EndpointReconServer {
                   message: '✅ Capture complete! Headers, cookies, tokens, payloads, and preview data captured.',
                   markdownFile: mdFile,
                   jsonFile: jsonFile,
+                  openapiFile: path.join(path.dirname(__dirname), openAPIFilename(new URL(targetUrl).hostname)),
+                  harFile: har ? mdFile.replace('.md', '.har') : undefined,
                   summary: {
                     domain: domain,
                     endpointsCaptured: JSON.parse(jsonContent).endpoints ? Object.keys(JSON.parse(jsonContent).endpoints).length : 0,
-                    output: output,
+                    output: new Redactor(redaction).text(output),
                   },
                   markdownPreview: mdContent.substring(0, 2000) + '...',
                 }, null, 2),
@@ -472,7 +933,7 @@ class EndpointReconServer {
     });
   }
 
-  async adspowerComprehensiveCommander({ adspowerPort, targetUrl, duration = 60 }) {
+  async comprehensiveCommander({ browser, adspowerPort, launch, targetUrl, duration = 60, har = false, journal = true, redaction, protos, scope, guard, readOnly, session }) {
     const { spawn } = await import('child_process');
     const path = await import('path');
     const { fileURLToPath } = await import('url');
@@ -484,10 +945,26 @@ class EndpointReconServer {
     // Path to comprehensive-capture-commander.js
     const scriptPath = path.join(__dirname, 'tools', 'comprehensive-capture-commander.js');
     
-    console.log(`🎯 Launching comprehensive capture with navigation on AdsPower port ${adspowerPort}...`);
+    const browserTarget = browser || adspowerPort || 'launch';
+    console.log(`🎯 Launching comprehensive capture with navigation on ${browserTarget}...`);
     
     return new Promise((resolve, reject) => {
-      const process = spawn('node', [scriptPath, adspowerPort, targetUrl, duration.toString()], {
+      const scriptArgs = [scriptPath, browserTarget, targetUrl, duration.toString()];
+      if (launch?.userDataDir) scriptArgs.push(`--user-data-dir=${launch.userDataDir}`);
+      if (launch?.storageState) scriptArgs.push(`--storage-state=${launch.storageState}`);
+      if (launch?.channel) scriptArgs.push(`--channel=${launch.channel}`);
+      if (launch?.headless === false) scriptArgs.push('--headed');
+      if (har) scriptArgs.push('--har');
+      if (!journal) scriptArgs.push('--no-journal');
+      if (redaction) scriptArgs.push(`--redaction=${JSON.stringify(redaction)}`);
+      (protos?.files || []).forEach(file => scriptArgs.push(`--proto=${file}`));
+      if (protos?.types) scriptArgs.push(`--proto-types=${JSON.stringify(protos.types)}`);
+      if (scope) scriptArgs.push(`--scope=${JSON.stringify(scope)}`);
+      if (guard) scriptArgs.push(`--guard=${JSON.stringify(guard)}`);
+      if (readOnly) scriptArgs.push(readOnly === true ? '--read-only' : `--read-only=${JSON.stringify(readOnly)}`);
+      if (session) scriptArgs.push(`--session=${session}`);
+      
+      const process = spawn('node', scriptArgs, {
         cwd: path.dirname(__dirname),
       });
       
@@ -533,12 +1010,14 @@ class EndpointReconServer {
                   message: '✅ Comprehensive capture complete! All endpoints, pages, headers, tokens, and data captured with automatic navigation.',
                   markdownFile: mdFile,
                   jsonFile: jsonFile,
+                  openapiFile: path.join(path.dirname(__dirname), openAPIFilename(new URL(targetUrl).hostname)),
+                  harFile: har ? mdFile.replace('.md', '.har') : undefined,
                   summary: {
                     domain: domain,
                     endpointsCaptured: parsedJson.endpoints ? Object.keys(parsedJson.endpoints).length : 0,
                     pagesDiscovered: parsedJson.discoveredPages ? parsedJson.discoveredPages.length : 0,
                     endpointToPageMappings: parsedJson.endpointToPages ? Object.keys(parsedJson.endpointToPages).length : 0,
-                    output: output,
+                    output: new Redactor(redaction).text(output),
                   },
                   markdownPreview: mdContent.substring(0, 2000) + '...',
                 }, null, 2),
@@ -556,6 +1035,337 @@ class EndpointReconServer {
     });
   }
 
+  async exportOpenAPI({ captureFile, outputFile, title, redaction }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+    const spec = new Redactor(redaction).deep(generateOpenAPI(capture, { title }));
+    
+    const target = outputFile || path.join(path.dirname(captureFile), openAPIFilename(capture.domain));
+    await fs.writeFile(target, JSON.stringify(spec, null, 2));
+    
+    const operationCount = Object.values(spec.paths)
+      .reduce((count, methods) => count + Object.keys(methods).length, 0);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: '✅ OpenAPI 3.1 spec generated from capture.',
+            openapiFile: target,
+            summary: {
+              paths: Object.keys(spec.paths).length,
+              operations: operationCount,
+              securitySchemes: Object.keys(spec.components?.securitySchemes || {}),
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async exportPostman({ captureFile, outputDir, name, redaction }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+    const { collection, environment } = generatePostman(capture, { name, redactor: new Redactor(redaction) });
+    
+    const targetDir = outputDir || path.dirname(captureFile);
+    const files = postmanFilenames(capture.domain);
+    const collectionFile = path.join(targetDir, files.collection);
+    const environmentFile = path.join(targetDir, files.environment);
+    await fs.writeFile(collectionFile, JSON.stringify(collection, null, 2));
+    await fs.writeFile(environmentFile, JSON.stringify(environment, null, 2));
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: '✅ Postman collection generated from capture.',
+            collectionFile,
+            environmentFile,
+            summary: {
+              folders: collection.item.length,
+              requests: collection.item.reduce((count, folder) => count + folder.item.length, 0),
+              variables: environment.values.map(value => value.key),
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async generateTypeScriptClient({ captureFile, outputFile, baseUrl }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+    const source = generateTypeScriptClient(capture, { baseUrl });
+    
+    const target = outputFile || path.join(path.dirname(captureFile), typescriptClientFilename(capture.domain));
+    await fs.writeFile(target, source);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: '✅ TypeScript client generated from capture.',
+            clientFile: target,
+            summary: {
+              functions: Object.keys(capture.endpoints || {}).length,
+            },
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async diffCaptures({ beforeFile, afterFile, outputFile }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const before = JSON.parse(await fs.readFile(beforeFile, 'utf-8'));
+    const after = JSON.parse(await fs.readFile(afterFile, 'utf-8'));
+    const diff = diffCaptures(before, after, { beforeFile, afterFile });
+    const markdown = renderDiffMarkdown(diff);
+    
+    const mdFile = outputFile || path.join(path.dirname(afterFile), diffFilename(after.domain));
+    const jsonFile = mdFile.replace(/\.md$/, '') + '.json';
+    await fs.writeFile(mdFile, markdown);
+    await fs.writeFile(jsonFile, JSON.stringify(diff, null, 2));
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: '✅ Captures compared.',
+            markdownFile: mdFile,
+            jsonFile,
+            summary: diff.summary,
+            markdownPreview: markdown.substring(0, 2000),
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async serveMock({ action = 'start', captureFile, port, latency, rules, unmatchedLog, redaction }) {
+    const selected = port ? [this.mockServers.get(port)].filter(Boolean) : Array.from(this.mockServers.values());
+    
+    if (action === 'stop') {
+      await Promise.all(selected.map(mock => mock.stop()));
+      selected.forEach(mock => this.mockServers.delete(mock.port));
+      return this.mockResult(`🛑 Stopped ${selected.length} mock server(s).`, selected);
+    }
+    if (action === 'status') {
+      return this.mockResult(`🎭 ${selected.length} mock server(s) running.`, selected);
+    }
+    
+    if (!captureFile) throw new Error('captureFile is required to start a mock server');
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const listenPort = port ?? 4010;
+    // Restarting on the same port swaps in the new capture
+    await this.mockServers.get(listenPort)?.stop();
+    
+    const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+    const mock = new MockServer(capture, {
+      port: listenPort,
+      latency,
+      rules,
+      redaction,
+      unmatchedLog: unmatchedLog || path.join(path.dirname(captureFile), unmatchedLogFilename(capture.domain)),
+      // stdout is the MCP transport
+      log: console.error,
+    });
+    await mock.start();
+    this.mockServers.set(mock.port, mock);
+    
+    return this.mockResult('✅ Mock server started.', [mock]);
+  }
+
+  mockResult(message, servers) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message,
+            servers: servers.map(mock => ({ ...mock.summary(), unmatchedLog: mock.unmatchedLog })),
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async replayRequest({ captureFile, endpoint: key, sampleIndex = 0, overrides, dryRun = false, timeout = 30000, redaction, scope: scopePolicy }) {
+    const fs = await import('fs/promises');
+    
+    const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+    const redactor = new Redactor(redaction);
+    const replay = prepareReplay(capture, key, { sampleIndex, overrides, redactor });
+    const { method, url, headers, body } = replay.request;
+    
+    // The capture's own scope, narrowed further by the tool's
+    const scopes = [new Scope(capture.scope), ...(scopePolicy ? [new Scope(scopePolicy)] : [])];
+    if (!scopes.every(scope => scope.allows(method, url))) {
+      throw new Error(`${method} ${redactor.text(url)} is outside the capture scope`);
+    }
+    
+    const preparedRequest = { method, url: redactor.text(url), headers: redactor.headers(headers), body: redactor.text(body) };
+    if (dryRun) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              message: '📝 Dry run: request prepared, not sent.',
+              request: preparedRequest,
+              warnings: replay.warnings,
+            }, null, 2),
+          },
+        ],
+      };
+    }
+    
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const started = Date.now();
+    let replayed;
+    try {
+      // Redirects are compared as recorded, not followed
+      const response = await fetch(url, { method, headers, body, redirect: 'manual', signal: controller.signal });
+      replayed = readReplayResponse(replay.operation, {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        text: await response.text(),
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+    const elapsed = Date.now() - started;
+    const diff = compareResponses(replay.response, replayed, redactor);
+    
+    const replayedBody = replayed.body !== undefined ? JSON.stringify(redactor.deep(replayed.body)) : redactor.text(replayed.text);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message: diff.identical ? '✅ Replayed: same response as recorded.' : '🔄 Replayed: response differs from the recording.',
+            request: preparedRequest,
+            recorded: replay.response
+              ? { requestId: replay.recorded.requestId, timestamp: replay.response.timestamp, status: replay.response.status }
+              : null,
+            replayed: {
+              status: replayed.status,
+              timeMs: elapsed,
+              headers: redactor.headers(replayed.headers),
+              bodyPreview: (replayedBody || '').substring(0, 2000),
+            },
+            diff,
+            warnings: replay.warnings,
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  async importHAR({ harFile, domain, outputDir, redaction, protos, scope }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    const har = JSON.parse(await fs.readFile(harFile, 'utf-8'));
+    const recon = new CaptureEngine(null, { name: 'HAR Import', redaction, protos, scope });
+    recon.domain = domain || null;
+    
+    const stats = await this.withStdoutRedirected(() => replayHAR(recon, har));
+    
+    // No /api/ or /trpc/ request to pick the domain from: fall back to the first entry
+    if (!recon.domain) {
+      const firstEntry = har.log.entries[0];
+      recon.domain = firstEntry ? new URL(firstEntry.request.url).hostname : 'har-import';
+    }
+    
+    return await this.saveOfflineReport(recon, outputDir || path.dirname(harFile), {
+      message: '✅ HAR imported! Reports regenerated from recorded traffic.',
+      summary: { harEntries: stats.entries, endpointsCaptured: stats.endpoints },
+    });
+  }
+
+  async recoverCapture({ journalDir, domain, outputDir, redaction, protos, scope }) {
+    const recon = new CaptureEngine(null, { name: 'Journal Recovery', redaction, protos, scope });
+    recon.domain = domain || null;
+    
+    const stats = await this.withStdoutRedirected(() => replayJournal(recon, journalDir));
+    
+    if (!recon.domain) {
+      const firstEndpoint = recon.endpoints.values().next().value;
+      recon.domain = firstEndpoint ? new URL(firstEndpoint.url).hostname : 'journal-recovery';
+    }
+    
+    return await this.saveOfflineReport(recon, outputDir || journalDir, {
+      message: '✅ Capture recovered from journal! Reports regenerated.',
+      summary: { journalEvents: stats.events, endpointsCaptured: stats.endpoints },
+    });
+  }
+
+  // Write reports for an engine rebuilt without a browser and describe them
+  async saveOfflineReport(recon, targetDir, { message, summary }) {
+    const path = await import('path');
+    const fs = await import('fs/promises');
+    
+    await this.withStdoutRedirected(() => recon.saveReport(targetDir));
+    
+    const mdFile = path.join(targetDir, `endpoints-${recon.domain.replace(/\./g, '-')}.md`);
+    const mdContent = await fs.readFile(mdFile, 'utf-8');
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            success: true,
+            message,
+            markdownFile: mdFile,
+            jsonFile: mdFile.replace('.md', '.json'),
+            openapiFile: path.join(targetDir, openAPIFilename(recon.domain)),
+            summary: {
+              domain: recon.domain,
+              ...summary,
+            },
+            markdownPreview: mdContent.substring(0, 2000) + '...',
+          }, null, 2),
+        },
+      ],
+    };
+  }
+
+  // Capture classes log progress with console.log, but stdout is the MCP transport
+  async withStdoutRedirected(fn) {
+    const log = console.log;
+    console.log = (...args) => console.error(...args);
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  }
+
   extractParameters(url) {
     try {
       const urlObj = new URL(url);
@@ -565,9 +1375,32 @@ class EndpointReconServer {
     }
   }
 
-  isAPIEndpoint(url) {
-    const apiPatterns = ['/api/', '/v1/', '/v2/', '/graphql', '.json', '/rest/'];
-    return apiPatterns.some(pattern => url.includes(pattern));
+  // GraphQL traffic counts even when it isn't served from a /graphql path
+  isAPIEndpoint(url, graphqlOperations = []) {
+    const apiPatterns = ['/api/', '/v1/', '/v2/', '/graphql', '/trpc/', '.json', '/rest/'];
+    return graphqlOperations.length > 0 || apiPatterns.some(pattern => url.includes(pattern));
+  }
+
+  // "query GetUser"-style names for every GraphQL operation sent to this URL
+  graphqlOperations(endpoint) {
+    let urlObj;
+    try {
+      urlObj = new URL(endpoint.url);
+    } catch {
+      return [];
+    }
+
+    const requests = endpoint.payloads.length > 0
+      ? endpoint.payloads.map(p => ({ method: endpoint.method, postData: p.data }))
+      : [{ method: endpoint.method }];
+
+    const names = new Set();
+    requests.forEach(request => {
+      (parseGraphQLRequest(request, urlObj) || []).forEach(op => {
+        names.add(`${op.operationType || 'operation'} ${op.operationName}`);
+      });
+    });
+    return Array.from(names);
   }
 
   async run() {
@@ -0,0 +1,205 @@
+/**
+ * Body Decoders
+ * Registry of decoders keyed by content type, used for request and response
+ * bodies that aren't plain JSON text. Built in: urlencoded and multipart forms,
+ * JSON-ish text/plain, msgpack, CBOR, protobuf and gRPC-web (schema-less, or
+ * named fields from user-supplied .proto files), plus gzip hidden inside
+ * base64 bodies.
+ *
+ * A decoder is { name, contentTypes: ['application/x-foo', 'application/*+foo'],
+ * decode(bytes, context) } where context is { contentType, direction, method,
+ * path, route (templated path), url, meta }. Decoders may put extra facts
+ * (e.g. gRPC trailers) on context.meta, and return undefined to leave a body
+ * as plain text. Later registrations win, so plugins can override built-ins.
+ */
+
+import zlib from 'zlib';
+import { decodeMsgpack } from './msgpack.js';
+import { decodeCBOR } from './cbor.js';
+import { decodeProtobuf, ProtoSchema, splitGrpcWebFrames, decodeGrpcWebText } from './protobuf.js';
+import { parseFormUrlEncoded, parseMultipart, parseTextBody } from './form-data.js';
+
+function mimeTypeOf(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function matches(pattern, mimeType) {
+  if (pattern === mimeType) return true;
+  // 'application/*+cbor' style wildcards
+  const [prefix, suffix] = pattern.split('*');
+  return suffix !== undefined && mimeType.startsWith(prefix) && mimeType.endsWith(suffix);
+}
+
+function isGzip(bytes) {
+  return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+function looksLikeText(bytes) {
+  const text = bytes.toString('utf-8');
+  // eslint-disable-next-line no-control-regex
+  return !text.includes('�') && !/[\x00-\x08\x0e-\x1f]/.test(text);
+}
+
+export class BodyDecoderRegistry {
+  constructor() {
+    this.decoders = [];
+  }
+
+  register(decoder) {
+    this.decoders.unshift(decoder);
+    return this;
+  }
+
+  decoderFor(contentType) {
+    const mimeType = mimeTypeOf(contentType);
+    if (!mimeType) return null;
+    return this.decoders.find(decoder => decoder.contentTypes.some(pattern => matches(pattern, mimeType))) || null;
+  }
+
+  /**
+   * Decode a CDP-style body ({ body, base64Encoded }).
+   * Returns { data, decoder, meta } for decoded bodies, { text } for text
+   * bodies (including gzip-in-base64), or null when there's nothing to read.
+   */
+  decode({ body, base64Encoded }, context = {}) {
+    if (body === undefined || body === null) return null;
+
+    let bytes = Buffer.from(body, base64Encoded ? 'base64' : 'utf-8');
+    let binary = base64Encoded;
+
+    // Some servers (and proxies) hand back the compressed bytes untouched
+    if (isGzip(bytes)) {
+      try {
+        bytes = zlib.gunzipSync(bytes);
+        binary = true;
+      } catch {
+        // Not actually gzip
+      }
+    }
+
+    const decoder = this.decoderFor(context.contentType);
+    if (decoder) {
+      const decodeContext = { ...context, meta: {} };
+      try {
+        const data = decoder.decode(bytes, decodeContext);
+        if (data !== undefined) {
+          return {
+            data,
+            decoder: decoder.name,
+            meta: Object.keys(decodeContext.meta).length > 0 ? decodeContext.meta : undefined
+          };
+        }
+      } catch (e) {
+        return { text: `<${bytes.length} bytes of ${mimeTypeOf(context.contentType)}: ${decoder.name} decoding failed (${e.message})>` };
+      }
+    }
+
+    if (!binary) return { text: body };
+    if (looksLikeText(bytes)) return { text: bytes.toString('utf-8') };
+    return { text: `<${bytes.length} bytes of ${mimeTypeOf(context.contentType) || 'binary data'}>` };
+  }
+}
+
+/**
+ * Which .proto message a body holds: the gRPC method for gRPC-web paths, else
+ * the user's mapping of path (or "METHOD path") to a type name or
+ * { request, response } pair.
+ */
+function protoTypeFor(protos, context) {
+  const fromMethod = protos.schema?.method(context.path);
+  if (fromMethod) {
+    return context.direction === 'request' ? fromMethod.requestType : fromMethod.responseType;
+  }
+
+  const mapping = [context.path, context.route]
+    .flatMap(path => [`${context.method} ${path}`, path])
+    .map(key => protos.types[key])
+    .find(Boolean);
+  if (!mapping) return null;
+  if (typeof mapping === 'string') return context.direction === 'response' ? mapping : null;
+  return mapping[context.direction] || null;
+}
+
+function decodeProtoMessage(bytes, protos, context) {
+  const typeName = protoTypeFor(protos, context);
+  if (typeName && protos.schema) {
+    context.meta.protoType = typeName;
+    return protos.schema.decode(bytes, typeName);
+  }
+  return decodeProtobuf(bytes);
+}
+
+/**
+ * The registry with every built-in decoder.
+ * `protos` is { files: ['api.proto'], types: { '/api/feed': 'pkg.FeedResponse' } }.
+ */
+export function createBodyDecoders(protos = {}) {
+  const proto = {
+    schema: protos.files?.length ? ProtoSchema.fromFiles(protos.files) : null,
+    types: protos.types || {}
+  };
+
+  return new BodyDecoderRegistry()
+    .register({
+      name: 'form',
+      contentTypes: ['application/x-www-form-urlencoded'],
+      decode: bytes => parseFormUrlEncoded(bytes.toString('utf-8'))
+    })
+    .register({
+      name: 'multipart',
+      contentTypes: ['multipart/form-data', 'multipart/mixed'],
+      decode: (bytes, context) => parseMultipart(bytes, context.contentType)
+    })
+    .register({
+      name: 'text',
+      contentTypes: ['text/plain'],
+      decode: bytes => parseTextBody(bytes.toString('utf-8'))
+    })
+    .register({
+      name: 'msgpack',
+      contentTypes: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack', 'application/*+msgpack'],
+      decode: bytes => decodeMsgpack(bytes)
+    })
+    .register({
+      name: 'cbor',
+      contentTypes: ['application/cbor', 'application/cbor-seq', 'application/*+cbor'],
+      decode: bytes => decodeCBOR(bytes)
+    })
+    .register({
+      name: 'protobuf',
+      contentTypes: [
+        'application/protobuf', 'application/x-protobuf', 'application/vnd.google.protobuf',
+        'application/x-google-protobuf', 'application/octet-stream+protobuf', 'application/*+protobuf'
+      ],
+      decode: (bytes, context) => decodeProtoMessage(bytes, proto, context)
+    })
+    .register({
+      name: 'grpc-web',
+      contentTypes: ['application/grpc-web', 'application/grpc-web+proto', 'application/grpc-web-text', 'application/grpc-web-text+proto'],
+      decode: (bytes, context) => {
+        const frames = mimeTypeOf(context.contentType).startsWith('application/grpc-web-text')
+          ? decodeGrpcWebText(bytes.toString('utf-8'))
+          : bytes;
+        const { messages, trailers } = splitGrpcWebFrames(frames);
+        if (Object.keys(trailers).length > 0) context.meta.trailers = trailers;
+
+        const decoded = messages.map(message => decodeProtoMessage(message, proto, context));
+        // Unary calls carry one message; server streams keep them all
+        return decoded.length === 1 ? decoded[0] : decoded;
+      }
+    });
+}
+
+/**
+ * Read .proto options from tool CLI arguments:
+ *   --proto=<file>            repeatable
+ *   --proto-types=<json>      { "/path": "pkg.Message" | { request, response } }
+ */
+export function protosFromArgs(argv) {
+  const files = argv.filter(arg => arg.startsWith('--proto=')).map(arg => arg.substring('--proto='.length));
+  const typesArg = argv.find(arg => arg.startsWith('--proto-types='));
+  return {
+    files,
+    types: typesArg ? JSON.parse(typesArg.substring('--proto-types='.length)) : {}
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Browser Connection
+ * Where a capture runs: any Chrome DevTools endpoint (AdsPower, Chrome or Edge
+ * started with --remote-debugging-port, a remote browser service) or a
+ * Chromium that Playwright launches locally, optionally with a persistent
+ * profile and a saved storage state (cookies + localStorage).
+ *
+ * Spec: '63812' | 'http://10.0.0.5:9222' | 'ws://host/devtools/browser/<id>' | 'launch'
+ *   or { browser: <one of those>, userDataDir, storageState, headless, channel }
+ */
+
+import { chromium } from 'playwright';
+import fs from 'fs/promises';
+
+/**
+ * Normalize a browser spec to { mode: 'cdp', endpoint } or
+ * { mode: 'launch', userDataDir, storageState, headless, channel }.
+ */
+export function parseBrowserSpec(spec = 'launch') {
+  const options = typeof spec === 'object' && spec !== null ? spec : { browser: spec };
+  const target = String(options.browser ?? 'launch').trim();
+
+  if (target === 'launch') {
+    return {
+      mode: 'launch',
+      userDataDir: options.userDataDir || null,
+      storageState: options.storageState || null,
+      headless: options.headless !== false,
+      channel: options.channel || undefined
+    };
+  }
+  if (/^\d+$/.test(target)) {
+    return { mode: 'cdp', endpoint: `http://127.0.0.1:${target}` };
+  }
+  if (/^(?:https?|wss?):\/\//i.test(target)) {
+    return { mode: 'cdp', endpoint: target };
+  }
+  // host:port without a scheme
+  if (/^[\w.-]+:\d+$/.test(target)) {
+    return { mode: 'cdp', endpoint: `http://${target}` };
+  }
+  throw new Error(`Unrecognized browser "${target}" - expected a port, a CDP http/ws URL or "launch"`);
+}
+
+export function describeBrowser(spec) {
+  if (spec.mode === 'cdp') return `Chrome DevTools endpoint ${spec.endpoint}`;
+  const details = [spec.channel, spec.headless ? 'headless' : 'headed', spec.userDataDir && `profile ${spec.userDataDir}`]
+    .filter(Boolean)
+    .join(', ');
+  return `a local Chromium (${details})`;
+}
+
+// Persistent contexts can't take storageState directly: add the cookies and
+// seed localStorage (without clobbering what the profile already has)
+async function applyStorageState(context, file) {
+  const state = JSON.parse(await fs.readFile(file, 'utf-8'));
+  if (state.cookies?.length > 0) {
+    await context.addCookies(state.cookies);
+  }
+  if (state.origins?.length > 0) {
+    await context.addInitScript(origins => {
+      const entry = origins.find(origin => origin.origin === location.origin);
+      (entry?.localStorage || []).forEach(({ name, value }) => {
+        try {
+          if (localStorage.getItem(name) === null) localStorage.setItem(name, value);
+        } catch {}
+      });
+    }, state.origins);
+  }
+}
+
+/**
+ * Connect to or launch a browser. Returns { browser, context, page, close },
+ * where close() only shuts down what was launched here - a browser we merely
+ * connected to is left running.
+ */
+export async function openBrowser(spec) {
+  if (spec.mode === 'cdp') {
+    const browser = await chromium.connectOverCDP(spec.endpoint);
+    const context = browser.contexts()[0] || await browser.newContext();
+    const pages = context.pages();
+    const page = pages.length > 0 ? pages[0] : await context.newPage();
+    return { browser, context, page, close: async () => {} };
+  }
+
+  const launchOptions = { headless: spec.headless, channel: spec.channel };
+
+  if (spec.userDataDir) {
+    const context = await chromium.launchPersistentContext(spec.userDataDir, launchOptions);
+    if (spec.storageState) await applyStorageState(context, spec.storageState);
+    const pages = context.pages();
+    const page = pages.length > 0 ? pages[0] : await context.newPage();
+    return { browser: context.browser(), context, page, close: () => context.close() };
+  }
+
+  const browser = await chromium.launch(launchOptions);
+  const context = await browser.newContext(spec.storageState ? { storageState: spec.storageState } : {});
+  const page = await context.newPage();
+  return { browser, context, page, close: () => browser.close() };
+}
+
+/**
+ * Read browser options from tool CLI arguments. `target` is the positional
+ * port/URL/"launch"; the rest are --user-data-dir=<dir>, --storage-state=<file>,
+ * --channel=<chrome|msedge|...> and --headed.
+ */
+export function browserFromArgs(argv, target) {
+  const value = name => {
+    const arg = argv.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.substring(name.length + 3) : undefined;
+  };
+  return {
+    browser: target,
+    userDataDir: value('user-data-dir'),
+    storageState: value('storage-state'),
+    channel: value('channel'),
+    headless: !argv.includes('--headed')
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Capture Diff
+ * Compares two capture JSON files (endpoints-{domain}.json) from runs before
+ * and after a release: added and removed endpoints, methods that changed on
+ * the same route, query and body fields, response shapes per status, status
+ * codes and auth headers. Fields are compared through their inferred JSON
+ * Schemas, flattened to paths like `items[].owner.id`.
+ */
+
+// Request headers that carry credentials (token names from the capture cover the rest)
+const AUTH_HEADER = /^(?:authorization|proxy-authorization|cookie|x-[\w-]*(?:auth|token|key|secret|signature|session|csrf|xsrf)[\w-]*)$/i;
+
+function typeName(schema) {
+  if (schema.anyOf) return schema.anyOf.map(typeName).join(' | ');
+  const type = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type || 'any';
+  return schema.format ? `${type} (${schema.format})` : type;
+}
+
+/**
+ * Flatten a JSON Schema to { 'a.b': 'string', 'items[]': 'object', ... }.
+ */
+export function schemaFields(schema, prefix = '', fields = {}) {
+  if (!schema || typeof schema !== 'object') return fields;
+  if (prefix) fields[prefix] = typeName(schema);
+
+  const variants = schema.anyOf || [schema];
+  variants.forEach(variant => {
+    Object.entries(variant.properties || {}).forEach(([name, property]) => {
+      schemaFields(property, prefix ? `${prefix}.${name}` : name, fields);
+    });
+    if (variant.items) schemaFields(variant.items, `${prefix}[]`, fields);
+  });
+  return fields;
+}
+
+function compareFields(before, after) {
+  const added = Object.keys(after).filter(field => !(field in before));
+  const removed = Object.keys(before).filter(field => !(field in after));
+  const changed = Object.keys(after)
+    .filter(field => field in before && before[field] !== after[field])
+    .map(field => ({ field, before: before[field], after: after[field] }));
+  return { added, removed, changed };
+}
+
+function compareSets(before, after) {
+  return {
+    added: [...after].filter(value => !before.has(value)),
+    removed: [...before].filter(value => !after.has(value))
+  };
+}
+
+const isEmpty = diff => Object.values(diff).every(list => list.length === 0);
+
+// 'POST /api/items createItem' -> '/api/items createItem'
+function routeOf(key) {
+  return key.substring(key.indexOf(' ') + 1);
+}
+
+// Every status seen; older captures without counts only have their sampled responses
+function statuses(endpoint) {
+  if (endpoint.statuses) return new Set(Object.keys(endpoint.statuses));
+  return new Set([
+    ...Object.keys(endpoint.schemas?.responses || {}),
+    ...(endpoint.responses || []).map(resp => String(resp.status))
+  ]);
+}
+
+// Request header names only: cookie.* and payload.* tokens name cookies and body fields
+function authHeaders(endpoint) {
+  const names = new Set();
+  (endpoint.tokens || []).forEach(token => {
+    const name = token.substring(0, token.indexOf('=')).toLowerCase();
+    if (name && !name.startsWith('cookie.') && !name.startsWith('payload.')) names.add(name);
+  });
+  (endpoint.requests || []).forEach(request => {
+    Object.keys(request.headers || {}).forEach(name => {
+      if (AUTH_HEADER.test(name)) names.add(name.toLowerCase());
+    });
+  });
+  return names;
+}
+
+function diffEndpoint(before, after) {
+  const changes = {};
+
+  const query = compareSets(new Set(Object.keys(before.query || {})), new Set(Object.keys(after.query || {})));
+  if (!isEmpty(query)) changes.query = query;
+
+  const body = compareFields(schemaFields(before.schemas?.request), schemaFields(after.schemas?.request));
+  if (!isEmpty(body)) changes.body = body;
+
+  const responses = {};
+  Object.entries(after.schemas?.responses || {}).forEach(([status, schema]) => {
+    const previous = before.schemas?.responses?.[status];
+    if (!previous) return;
+    const shape = compareFields(schemaFields(previous), schemaFields(schema));
+    if (!isEmpty(shape)) responses[status] = shape;
+  });
+  if (Object.keys(responses).length > 0) changes.responses = responses;
+
+  const statusCodes = compareSets(statuses(before), statuses(after));
+  if (!isEmpty(statusCodes)) {
+    // A status missing from the last few samples isn't necessarily gone
+    changes.statuses = before.statuses && after.statuses ? statusCodes : { ...statusCodes, sampled: true };
+  }
+
+  const auth = compareSets(authHeaders(before), authHeaders(after));
+  if (!isEmpty(auth)) changes.authHeaders = auth;
+
+  return changes;
+}
+
+function describeCapture(capture, file) {
+  return {
+    file,
+    domain: capture.domain,
+    capturedAt: capture.capturedAt,
+    endpoints: Object.keys(capture.endpoints || {}).length
+  };
+}
+
+/**
+ * Diff two parsed capture JSON files. Returns a plain object meant to be
+ * written out as JSON (see renderDiffMarkdown() for the readable version).
+ */
+export function diffCaptures(before, after, { beforeFile, afterFile } = {}) {
+  const beforeEndpoints = before.endpoints || {};
+  const afterEndpoints = after.endpoints || {};
+
+  let added = Object.keys(afterEndpoints).filter(key => !(key in beforeEndpoints));
+  let removed = Object.keys(beforeEndpoints).filter(key => !(key in afterEndpoints));
+
+  // The same route answering on another method is a method change, not an add + remove
+  const methodChanges = [];
+  new Set(added.map(routeOf)).forEach(route => {
+    const gone = removed.filter(key => routeOf(key) === route);
+    if (gone.length === 0) return;
+    const arrived = added.filter(key => routeOf(key) === route);
+    methodChanges.push({
+      route,
+      before: gone.map(key => beforeEndpoints[key].method),
+      after: arrived.map(key => afterEndpoints[key].method)
+    });
+    added = added.filter(key => !arrived.includes(key));
+    removed = removed.filter(key => !gone.includes(key));
+  });
+
+  const changed = Object.keys(afterEndpoints)
+    .filter(key => key in beforeEndpoints)
+    .map(key => ({ key, ...diffEndpoint(beforeEndpoints[key], afterEndpoints[key]) }))
+    .filter(change => Object.keys(change).length > 1);
+
+  const newAuthHeaders = new Set(changed.flatMap(change => change.authHeaders?.added || []));
+  added.forEach(key => authHeaders(afterEndpoints[key]).forEach(name => {
+    if (!Object.values(beforeEndpoints).some(endpoint => authHeaders(endpoint).has(name))) newAuthHeaders.add(name);
+  }));
+
+  const endpointSummary = key => ({ key, method: (afterEndpoints[key] || beforeEndpoints[key]).method, path: (afterEndpoints[key] || beforeEndpoints[key]).path });
+
+  return {
+    before: describeCapture(before, beforeFile),
+    after: describeCapture(after, afterFile),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      methodChanges: methodChanges.length,
+      changed: changed.length,
+      // Anything a client written against the old capture could trip over
+      breaking: removed.length + methodChanges.length + changed.filter(change =>
+        change.query?.removed.length > 0 ||
+        change.body?.removed.length > 0 || change.body?.changed.length > 0 ||
+        Object.values(change.responses || {}).some(shape => shape.removed.length > 0 || shape.changed.length > 0) ||
+        change.authHeaders?.added.length > 0
+      ).length,
+      newAuthHeaders: Array.from(newAuthHeaders)
+    },
+    added: added.map(endpointSummary),
+    removed: removed.map(endpointSummary),
+    methodChanges,
+    changed
+  };
+}
+
+function fieldLines(label, shape) {
+  const lines = [];
+  shape.added.forEach(field => lines.push(`- ➕ ${label} \`${field}\``));
+  shape.removed.forEach(field => lines.push(`- ➖ ${label} \`${field}\``));
+  (shape.changed || []).forEach(({ field, before, after }) => lines.push(`- 🔄 ${label} \`${field}\`: ${before} → ${after}`));
+  return lines;
+}
+
+/**
+ * Render a diff from diffCaptures() as markdown.
+ */
+export function renderDiffMarkdown(diff) {
+  const { before, after, summary } = diff;
+
+  let md = `# 🔀 Capture Diff: ${after.domain}\n\n`;
+  md += `**Before:** ${before.capturedAt} (${before.endpoints} endpoints)  \n`;
+  md += `**After:** ${after.capturedAt} (${after.endpoints} endpoints)  \n`;
+  md += `**Changes:** ${summary.added} added, ${summary.removed} removed, ${summary.methodChanges} method changes, ${summary.changed} changed  \n`;
+  md += `**Potentially Breaking:** ${summary.breaking}  \n`;
+  if (summary.newAuthHeaders.length > 0) {
+    md += `**New Auth Headers:** ${summary.newAuthHeaders.map(name => `\`${name}\``).join(', ')}  \n`;
+  }
+  md += `\n`;
+
+  if (diff.added.length > 0) {
+    md += `## ➕ Added Endpoints\n\n`;
+    diff.added.forEach(({ key }) => {
+      md += `- \`${key}\`\n`;
+    });
+    md += `\n`;
+  }
+
+  if (diff.removed.length > 0) {
+    md += `## ➖ Removed Endpoints\n\n`;
+    diff.removed.forEach(({ key }) => {
+      md += `- \`${key}\`\n`;
+    });
+    md += `\n`;
+  }
+
+  if (diff.methodChanges.length > 0) {
+    md += `## 🔁 Method Changes\n\n`;
+    md += `| Route | Before | After |\n`;
+    md += `|-------|--------|-------|\n`;
+    diff.methodChanges.forEach(change => {
+      md += `| \`${change.route}\` | ${change.before.join(', ')} | ${change.after.join(', ')} |\n`;
+    });
+    md += `\n`;
+  }
+
+  if (diff.changed.length > 0) {
+    md += `## 🔄 Changed Endpoints\n\n`;
+    diff.changed.forEach(change => {
+      md += `### ${change.key}\n\n`;
+      const lines = [];
+      if (change.query) lines.push(...fieldLines('query', change.query));
+      if (change.body) lines.push(...fieldLines('body', change.body));
+      Object.entries(change.responses || {}).forEach(([status, shape]) => {
+        lines.push(...fieldLines(`${status} response`, shape));
+      });
+      if (change.statuses) {
+        change.statuses.added.forEach(status => lines.push(`- ➕ status ${status}`));
+        change.statuses.removed.forEach(status => lines.push(`- ➖ status ${status}`));
+        if (change.statuses.sampled) lines.push('- ℹ️ statuses compared from sampled responses only (capture from an older version)');
+      }
+      if (change.authHeaders) {
+        change.authHeaders.added.forEach(name => lines.push(`- 🔐 new auth header \`${name}\``));
+        change.authHeaders.removed.forEach(name => lines.push(`- 🔓 auth header \`${name}\` no longer sent`));
+      }
+      md += `${lines.join('\n')}\n\n`;
+    });
+  }
+
+  if (diff.added.length + diff.removed.length + diff.methodChanges.length + diff.changed.length === 0) {
+    md += `No API changes between the two captures.\n`;
+  }
+
+  return md;
+}
+
+export function diffFilename(domain) {
+  return `diff-${String(domain || 'capture').replace(/\./g, '-')}.md`;
+}
@@ -0,0 +1,1657 @@
+/**
+ * Capture Engine
+ * Shared CDP capture logic for every recon tool: request/response/body capture,
+ * token extraction, report generation. Tools extend it and plug extra behaviour
+ * in through hooks instead of copying the capture code.
+ *
+ * Plugin hooks (all optional, called synchronously in registration order):
+ *   onRequest({ engine, endpoint, request, params })   - a Fetch/XHR request was captured
+ *   onResponse({ engine, endpoint, response, params }) - response headers arrived
+ *   onBody({ engine, endpoint, response, body, text }) - response body read (body = parsed JSON)
+ *   onFrame({ engine, channel, message, direction, data, text })
+ *                                                      - a WebSocket frame was sent/received
+ *   onInteraction({ engine, type, target })            - the tool clicked/scrolled/navigated
+ *   onReport(report)                                   - add summary lines, sections, endpoint
+ *                                                        details and JSON fields to the report
+ *
+ * Bodies in other encodings plug in through engine.decoders.register() (see body-decoders.js).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { URL } from 'url';
+import { generateOpenAPI, openAPIFilename } from './openapi.js';
+import { generatePostman, postmanFilenames } from './postman.js';
+import { generateTypeScriptClient, clientFunctionNames, typescriptClientFilename } from './typescript-client.js';
+import { requestExample, curlSnippet, pythonSnippet, fetchSnippet } from './snippets.js';
+import { templatePath, recordExample } from './path-templates.js';
+import { addSample, toJSONSchema, renderSchemas } from './schema-inference.js';
+import { HarRecorder } from './har.js';
+import { CaptureJournal, hashBody, replayJournal } from './capture-journal.js';
+import { Redactor } from './redaction.js';
+import { parseGraphQLRequest, GraphQLSchemaBuilder } from './graphql.js';
+import { parseTRPCRequest, unwrapTRPCResult, renderProcedureTree } from './trpc.js';
+import { parseFrame } from './websocket.js';
+import { streamFormat, StreamParser, parseEventData } from './streaming.js';
+import { createBodyDecoders } from './body-decoders.js';
+import { Scope } from './scope.js';
+import { InteractionGuard } from './interaction-guard.js';
+import { ReadOnlyPolicy } from './read-only.js';
+import { parseBrowserSpec, describeBrowser, openBrowser } from './browser-connection.js';
+import { TargetSession, describeTarget, requestSource, surfaceLabel } from './targets.js';
+import { CaptureSession } from './capture-session.js';
+
+// Per-endpoint sample cap: the first sample (shown in the report) plus the most recent ones
+const MAX_SAMPLES = 10;
+
+// With `sampleOf`, an item whose sample is already in the list isn't kept again
+// (resumed sessions see the same bodies run after run)
+function keepBounded(list, item, sampleOf) {
+  if (sampleOf) {
+    const sample = JSON.stringify(sampleOf(item));
+    if (list.some(existing => JSON.stringify(sampleOf(existing)) === sample)) return;
+  }
+  list.push(item);
+  if (list.length > MAX_SAMPLES) {
+    list.splice(1, 1);
+  }
+}
+
+const payloadSample = payload => payload.data ?? payload.raw;
+const previewSample = preview => preview.preview;
+
+// Events kept per streamed response; counts and schemas still cover the whole stream
+const MAX_STREAM_EVENTS = 100;
+const MAX_STREAM_TEXT = 1024 * 1024;
+
+function isCapturedType(type) {
+  return type === 'Fetch' || type === 'XHR' || type === 'EventSource';
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// Binary request bodies only survive intact in postDataEntries
+function requestBody(request) {
+  if (request.postDataEntries?.length > 0) {
+    const bytes = Buffer.concat(request.postDataEntries.map(entry => Buffer.from(entry.bytes || '', 'base64')));
+    return { body: bytes.toString('base64'), base64Encoded: true };
+  }
+  return { body: request.postData, base64Encoded: false };
+}
+
+export class CaptureEngine {
+  // `browser` is a debug port, a CDP http/ws URL, 'launch' or a launch spec (see browser-connection.js)
+  constructor(browser, options = {}) {
+    this.browserSpec = browser;
+    this.name = options.name || 'Capture Engine';
+    this.endpoints = new Map();
+    this.domain = null;
+    this.cdpClient = null;
+    this.authTokens = new Map();
+    this.cookies = new Map();
+    this.har = options.har ? new HarRecorder() : null;
+    // A named session journals every run under sessions/<name>/ and resumes from them
+    this.session = options.session ? new CaptureSession(options.session, options.sessionsDir) : null;
+    this.journalDir = this.session
+      ? this.session.runsDir
+      : options.journal === false ? null : (options.journalDir || 'journals');
+    this.journal = null;
+    this.requestIndex = new Map(); // requestId -> { endpoints, operations, request, responses } for in-flight requests
+    // Values are kept intact in memory and redacted when written out
+    this.redactor = new Redactor(options.redaction);
+    this.decoders = createBodyDecoders(options.protos); // plugins can register more
+    this.scope = new Scope(options.scope);
+    this.guard = new InteractionGuard(options.guard); // what the auto-clickers may not touch
+    this.readOnly = options.readOnly ? new ReadOnlyPolicy(options.readOnly) : null;
+    this.unsent = new Set(); // requestIds read-only mode stopped in the browser
+    this.graphqlSchema = new GraphQLSchemaBuilder();
+    this.channels = new Map(); // socket URL (templated) -> realtime channel
+    this.sockets = new Map();  // requestId -> channel for open WebSockets
+    this.childSessions = new Map(); // sessionId -> TargetSession for iframes and workers
+    this.plugins = [];
+  }
+
+  use(plugin) {
+    this.plugins.push(plugin);
+    return plugin;
+  }
+
+  runHook(hook, context) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+      try {
+        plugin[hook]({ ...context, engine: this });
+      } catch (e) {
+        console.error(`Plugin ${plugin.name || 'anonymous'} failed in ${hook}:`, e);
+      }
+    }
+  }
+
+  async connect() {
+    const spec = parseBrowserSpec(this.browserSpec);
+    console.log(`🎯 Connecting to ${describeBrowser(spec)}...`);
+    const { browser, context, page, close } = await openBrowser(spec);
+    this.browser = browser;
+    this.context = context;
+    this.page = page;
+    this.closeBrowser = close;
+    
+    // Earlier runs are replayed before this run's journal opens, so they aren't journaled twice
+    if (this.session) await this.resumeSession();
+    
+    // Stream events to disk so long sessions don't hold everything in memory
+    if (this.journalDir) {
+      const sessionDir = path.join(this.journalDir, new Date().toISOString().replace(/[:.]/g, '-'));
+      this.journal = new CaptureJournal(sessionDir).open();
+      if (this.har) this.har.bodyStore = this.journal;
+      console.log(`📝 Journaling capture to ${sessionDir}`);
+      await this.session?.startRun(sessionDir);
+    }
+    
+    // Every open tab gets its own session, and so does every tab or popup opened later
+    for (const page of this.context.pages()) {
+      const session = await this.attachPage(page);
+      if (page === this.page) this.cdpClient = session;
+    }
+    this.context.on('page', page => {
+      this.attachPage(page).catch(e => console.error('Failed to attach to new page:', e.message));
+    });
+  }
+
+  async attachPage(page) {
+    const session = await this.context.newCDPSession(page);
+    const { targetInfo } = await session.send('Target.getTargetInfo');
+    await this.setupCapture(session, describeTarget(targetInfo));
+    return session;
+  }
+
+  // Auto-attached iframe or worker: capture it, then let it start
+  async attachChild(parent, { sessionId, targetInfo, waitingForDebugger }) {
+    const session = new TargetSession(parent, sessionId);
+    this.childSessions.set(sessionId, session);
+    try {
+      await this.setupCapture(session, describeTarget(targetInfo));
+      console.log(`🪟 Capturing ${targetInfo.type} ${targetInfo.url}`);
+    } catch (e) {
+      console.log(`⚠️ Could not capture ${targetInfo.type} ${targetInfo.url}: ${e.message}`);
+    }
+    if (waitingForDebugger) {
+      await session.send('Runtime.runIfWaitingForDebugger').catch(() => {});
+    }
+  }
+
+  // Rebuild endpoints, samples and tool state from the session's earlier runs
+  async resumeSession() {
+    const runs = this.session.load().previousRuns();
+    if (runs.length === 0) {
+      console.log(`🆕 Starting session "${this.session.name}"`);
+      return;
+    }
+    
+    // The HAR only covers this run's traffic
+    const har = this.har;
+    this.har = null;
+    for (const run of runs) {
+      try {
+        await replayJournal(this, run.journalDir);
+      } catch (e) {
+        console.log(`⚠️ Could not replay run ${run.journalDir}: ${e.message}`);
+      }
+      // Whatever was still in flight when that run ended never finishes
+      this.requestIndex.clear();
+      this.sockets.clear();
+      this.unsent.clear();
+    }
+    this.har = har;
+    this.cdpClient = null;
+    
+    this.importSessionState(this.session.data.state || {});
+    console.log(`🔁 Resumed session "${this.session.name}": ${runs.length} earlier run(s), ${this.endpoints.size} endpoints`);
+  }
+
+  // Tool state the journal doesn't hold, saved with the session (tools override both)
+  exportSessionState() {
+    return {};
+  }
+
+  importSessionState(state) {}
+
+  // Shut down a browser launched for this capture; one we connected to keeps running
+  async disconnect() {
+    await this.closeBrowser?.();
+  }
+
+  async setupCapture(client, target) {
+    await client.send('Network.enable');
+    if (target.type === 'page' || target.type === 'iframe') {
+      await client.send('Page.enable');
+    }
+    await client.send('Runtime.enable');
+    
+    // Enable request/response interception for COMPLETE capture
+    await client.send('Fetch.enable', {
+      patterns: [{ urlPattern: '*' }]
+    }).catch(e => {
+      if (this.readOnly) console.log(`⚠️ Can't intercept ${target.type} ${target.url} (${e.message}) - read-only mode won't cover it`);
+    });
+    
+    // A request belongs to the session that reported it first
+    const on = (event, handler) => client.on(event, (params) => {
+      const entry = this.requestIndex.get(params.requestId);
+      if (entry?.session && entry.session !== client) return;
+      return handler(params);
+    });
+    
+    // Capture network events
+    on('Network.requestWillBeSentExtraInfo', (params) => {
+      this.har?.onRequestExtraInfo(params);
+      this.journalEvent('Network.requestWillBeSentExtraInfo', params);
+      this.captureRequestHeaders(params);
+    });
+    
+    on('Network.responseReceivedExtraInfo', (params) => {
+      this.har?.onResponseExtraInfo(params);
+      this.journalEvent('Network.responseReceivedExtraInfo', params);
+      this.captureResponseHeaders(params);
+    });
+    
+    on('Network.requestWillBeSent', (params) => {
+      // Tagged with where it came from (kept in the journal, so replays know too)
+      params.source = requestSource(target, params);
+      this.captureRequest(params);
+      // Out-of-scope traffic stays out of the HAR and the journal too
+      const entry = this.requestIndex.get(params.requestId);
+      if (!entry) return;
+      entry.session = client;
+      this.har?.onRequest(params);
+      this.journal?.append('Network.requestWillBeSent', params);
+    });
+    
+    on('Network.responseReceived', (params) => {
+      this.har?.onResponse(params);
+      this.journalEvent('Network.responseReceived', params);
+      this.captureResponse(params);
+    });
+    
+    // Streaming bodies (SSE, JSON lines) arrive piece by piece
+    on('Network.dataReceived', (params) => {
+      if (params.data) this.journalEvent('Network.dataReceived', params);
+      this.captureStreamData(params);
+    });
+    
+    on('Network.eventSourceMessageReceived', (params) => {
+      this.journalEvent('Network.eventSourceMessageReceived', params);
+      this.captureStreamEvent(params);
+    });
+    
+    on('Network.loadingFinished', async (params) => {
+      this.har?.onLoadingFinished(params);
+      await this.captureResponseBody(params);
+    });
+    
+    on('Network.loadingFailed', (params) => {
+      this.journalEvent('Network.loadingFailed', params);
+      this.releaseRequest(params.requestId);
+    });
+    
+    // Realtime traffic
+    on('Network.webSocketCreated', (params) => {
+      this.captureSocketCreated(params);
+      if (this.sockets.has(params.requestId)) {
+        this.journal?.append('Network.webSocketCreated', params);
+      }
+    });
+    
+    on('Network.webSocketWillSendHandshakeRequest', (params) => {
+      this.journalEvent('Network.webSocketWillSendHandshakeRequest', params);
+      this.captureSocketHandshake(params);
+    });
+    
+    on('Network.webSocketFrameSent', (params) => {
+      this.journalEvent('Network.webSocketFrameSent', params);
+      this.captureSocketFrame(params, 'sent');
+    });
+    
+    on('Network.webSocketFrameReceived', (params) => {
+      this.journalEvent('Network.webSocketFrameReceived', params);
+      this.captureSocketFrame(params, 'received');
+    });
+    
+    on('Network.webSocketClosed', (params) => {
+      this.journalEvent('Network.webSocketClosed', params);
+      this.captureSocketClosed(params);
+    });
+    
+    // Continue all requests, except state-changing ones in read-only mode
+    on('Fetch.requestPaused', async (params) => {
+      if (this.readOnly?.blocks(params.request)) {
+        console.log(`🔒 Read-only: not sending ${params.request.method} ${params.request.url}`);
+        params.source = requestSource(target, params);
+        this.captureUnsentRequest(params);
+        const entry = this.requestIndex.get(params.networkId);
+        if (entry) {
+          entry.session = entry.session || client;
+          this.journal?.append('Fetch.requestPaused', params);
+        }
+        // 'hold' leaves the request paused, so the page just sees it pending
+        if (this.readOnly.mode === 'fail') {
+          await client.send('Fetch.failRequest', { requestId: params.requestId, errorReason: 'BlockedByClient' });
+        }
+        return;
+      }
+      await client.send('Fetch.continueRequest', {
+        requestId: params.requestId
+      });
+    });
+    
+    // Out-of-process iframes and workers report their traffic on their own targets
+    client.on('Target.attachedToTarget', (params) => {
+      this.attachChild(client, params);
+    });
+    client.on('Target.receivedMessageFromTarget', ({ sessionId, message }) => {
+      this.childSessions.get(sessionId)?.dispatch(message);
+    });
+    client.on('Target.detachedFromTarget', ({ sessionId }) => {
+      this.childSessions.get(sessionId)?.detach();
+      this.childSessions.delete(sessionId);
+    });
+    await client.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: true, flatten: false })
+      .catch(() => {
+        // Not every target type can have children
+      });
+  }
+
+  // Only events for requests and sockets we're tracking go to the journal
+  journalEvent(event, params) {
+    if (this.journal && (this.requestIndex.has(params.requestId) || this.sockets.has(params.requestId))) {
+      this.journal.append(event, params);
+    }
+  }
+
+  releaseRequest(requestId) {
+    this.requestIndex.delete(requestId);
+  }
+
+  captureRequest(params) {
+    const { request, requestId, type, initiator, wallTime, source } = params;
+    const url = request.url;
+    
+    // Already documented from the paused request in read-only mode
+    if (this.unsent.has(requestId)) return;
+    
+    // Filter only Fetch/XHR requests
+    if (!isCapturedType(type)) return;
+    
+    // Skip non-HTTP URLs
+    if (!url.startsWith('http')) return;
+    
+    // Trackers and anything outside the configured scope are only counted
+    if (!this.scope.allows(request.method, url)) {
+      this.releaseRequest(requestId);
+      return;
+    }
+    
+    try {
+      const urlObj = new URL(url);
+      
+      // Set domain on first API request
+      if (!this.domain && (url.includes('/api/') || url.includes('/trpc/') || url.includes('/graphql'))) {
+        this.domain = urlObj.hostname;
+        console.log(`🌐 Target domain: ${this.domain}`);
+      }
+      
+      // Key by templated route so /users/123 and /users/456?x=1 share one endpoint
+      const { path: templatedPath, params: pathParams } = templatePath(urlObj.pathname);
+      const routeKey = `${request.method} ${templatedPath}`;
+      
+      // GraphQL operations and tRPC procedures (batched or not) are each their own logical endpoint
+      const operations = parseGraphQLRequest(request, urlObj) || parseTRPCRequest(request, urlObj);
+      const endpoints = operations
+        ? operations.map(op => this.ensureOperationEndpoint(op, request, routeKey, templatedPath))
+        : [this.ensureEndpoint(routeKey, request.method, url, templatedPath)];
+      
+      // Capture request details
+      const requestData = {
+        requestId,
+        url,
+        timestamp: (wallTime ? new Date(wallTime * 1000) : new Date()).toISOString(),
+        headers: request.headers,
+        postData: request.postData,
+        hasUserGesture: request.hasUserGesture,
+        initiator: initiator?.type || 'unknown',
+        source
+      };
+      
+      const entry = { url, endpoints, operations, request: requestData, responses: [] };
+      this.requestIndex.set(requestId, entry);
+      
+      endpoints.forEach((endpoint, i) => {
+        if (operations?.[i].kind === 'trpc') {
+          recordExample(endpoint, new URL(operations[i].url), []);
+        } else {
+          recordExample(endpoint, urlObj, pathParams);
+        }
+        keepBounded(endpoint.requests, requestData);
+        if (!endpoint.firstSeen || requestData.timestamp < endpoint.firstSeen) endpoint.firstSeen = requestData.timestamp;
+        if (!endpoint.lastSeen || requestData.timestamp > endpoint.lastSeen) endpoint.lastSeen = requestData.timestamp;
+        if (source) {
+          const label = surfaceLabel(source);
+          endpoint.surfaces[label] = (endpoint.surfaces[label] || 0) + 1;
+        }
+        if (operations) this.recordOperation(endpoint, operations[i]);
+        this.runHook('onRequest', { endpoint, request: requestData, params });
+        
+        // Extract tokens from headers
+        this.extractTokensFromHeaders(request.headers, endpoint);
+      });
+      
+      // Capture POST data
+      if (operations) {
+        endpoints.forEach((endpoint, i) => {
+          const op = operations[i];
+          const body = op.kind === 'graphql' ? op.payload : op.body;
+          if (body !== undefined) {
+            keepBounded(endpoint.payloads, {
+              timestamp: requestData.timestamp,
+              data: body
+            }, payloadSample);
+          }
+          // GraphQL variables / tRPC input are what actually change between calls
+          const input = op.kind === 'graphql' ? op.variables : op.input;
+          if (input !== undefined) {
+            endpoint.shapes.request = addSample(endpoint.shapes.request, input);
+            this.extractTokensFromPayload(input, endpoint);
+          }
+        });
+      } else if (request.postData || request.postDataEntries?.length > 0) {
+        const [endpoint] = endpoints;
+        const decoded = this.decoders.decode(
+          requestBody(request),
+          this.bodyContext(entry, 'request', getHeader(request.headers, 'content-type'))
+        );
+        
+        let parsed = decoded?.data;
+        if (parsed === undefined) {
+          try {
+            parsed = JSON.parse(decoded?.text ?? request.postData);
+          } catch {
+            // Not JSON - kept raw below
+          }
+        }
+        
+        // Uploaded file contents never leave the capture
+        if (decoded?.decoder === 'multipart') {
+          requestData.postData = undefined;
+        }
+        
+        if (parsed !== undefined) {
+          keepBounded(endpoint.payloads, {
+            timestamp: requestData.timestamp,
+            data: parsed,
+            ...(decoded?.decoder ? { decoding: { decoder: decoded.decoder, ...decoded.meta } } : {})
+          }, payloadSample);
+          endpoint.shapes.request = addSample(endpoint.shapes.request, parsed);
+          this.extractTokensFromPayload(parsed, endpoint);
+        } else {
+          keepBounded(endpoint.payloads, {
+            timestamp: requestData.timestamp,
+            raw: decoded?.text ?? request.postData
+          }, payloadSample);
+        }
+      }
+      
+    } catch (e) {
+      console.error('Error capturing request:', e);
+    }
+  }
+
+  // A request read-only mode kept from leaving the browser: documented, marked "observed, not sent"
+  captureUnsentRequest(params) {
+    const requestId = params.networkId || params.requestId;
+    
+    // Fetch.requestPaused can arrive before Network.requestWillBeSent
+    if (!this.requestIndex.has(requestId) && !this.unsent.has(requestId)) {
+      this.captureRequest({ requestId, request: params.request, type: params.resourceType, source: params.source });
+    }
+    this.unsent.add(requestId);
+    
+    const entry = this.requestIndex.get(requestId);
+    if (!entry || entry.request.notSent) return;
+    entry.request.notSent = true;
+    entry.endpoints.forEach(endpoint => {
+      endpoint.unsent = (endpoint.unsent || 0) + 1;
+    });
+  }
+
+  ensureEndpoint(key, method, url, templatedPath) {
+    if (!this.endpoints.has(key)) {
+      this.endpoints.set(key, {
+        method,
+        url,
+        path: templatedPath,
+        pathParams: {},
+        query: {},
+        examples: [],
+        requests: [],
+        responses: [],
+        headers: {},
+        cookies: [],
+        tokens: new Set(),
+        payloads: [],
+        shapes: { request: null, responses: {} },
+        previewData: [],
+        timing: [],
+        statuses: {}, // status -> responses, all of them (responses keeps the latest few)
+        firstSeen: null, // ISO timestamps of the earliest and latest request, across session runs
+        lastSeen: null,
+        surfaces: {} // 'page', 'iframe https://…', 'service worker https://…/sw.js' -> requests
+      });
+    }
+    return this.endpoints.get(key);
+  }
+
+  ensureOperationEndpoint(operation, request, routeKey, templatedPath) {
+    if (operation.kind === 'trpc') {
+      return this.ensureEndpoint(`${request.method} ${operation.path}`, request.method, operation.url, operation.path);
+    }
+    return this.ensureEndpoint(`${routeKey} ${operation.operationName}`, request.method, request.url, templatedPath);
+  }
+
+  recordOperation(endpoint, operation) {
+    if (operation.kind === 'trpc') {
+      const trpc = endpoint.trpc || (endpoint.trpc = {
+        procedure: operation.procedure,
+        type: operation.type,
+        input: operation.input
+      });
+      if (operation.batchIndex !== null) trpc.batched = true;
+      return;
+    }
+    
+    const graphql = endpoint.graphql || (endpoint.graphql = {
+      operationName: operation.operationName,
+      operationType: operation.operationType,
+      query: null,
+      persistedQuery: null
+    });
+    // Persisted queries may only reveal their document on a later retry
+    graphql.operationType = graphql.operationType || operation.operationType;
+    graphql.query = graphql.query || operation.query;
+    graphql.persistedQuery = graphql.persistedQuery || operation.persistedQuery;
+    if (operation.batchIndex !== null) graphql.batched = true;
+  }
+
+  captureRequestHeaders(params) {
+    const { requestId, headers, associatedCookies } = params;
+    const entry = this.requestIndex.get(requestId);
+    
+    // Store headers for request
+    if (headers && entry) {
+      // Merge with extra headers
+      Object.assign(entry.request.headers, headers);
+      
+      // Capture cookies sent
+      if (associatedCookies && associatedCookies.length > 0) {
+        const cookies = associatedCookies.map(c => ({
+          name: c.cookie.name,
+          value: c.cookie.value,
+          domain: c.cookie.domain,
+          path: c.cookie.path
+        }));
+        entry.endpoints.forEach(endpoint => {
+          endpoint.cookies = cookies;
+        });
+      }
+    }
+  }
+
+  captureResponse(params) {
+    const { response, requestId, type } = params;
+    
+    if (!isCapturedType(type)) return;
+    
+    const entry = this.requestIndex.get(requestId);
+    if (!entry) return;
+    
+    // One record per endpoint so batched operations keep their own body slice
+    entry.responses = entry.endpoints.map(endpoint => {
+      const responseData = {
+        requestId,
+        timestamp: new Date().toISOString(),
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        mimeType: response.mimeType,
+        fromCache: response.fromCache
+      };
+      keepBounded(endpoint.responses, responseData);
+      endpoint.statuses[response.status] = (endpoint.statuses[response.status] || 0) + 1;
+      this.runHook('onResponse', { endpoint, response: responseData, params });
+      return responseData;
+    });
+    
+    const format = streamFormat(response) || (type === 'EventSource' ? 'sse' : null);
+    if (format) {
+      this.startStream(requestId, entry, format, type);
+    }
+  }
+
+  captureResponseHeaders(params) {
+    const { requestId, headers, statusCode } = params;
+    const entry = this.requestIndex.get(requestId);
+    if (!entry || entry.responses.length === 0) return;
+    
+    // Update response with extra headers
+    entry.responses.forEach(resp => {
+      resp.extraHeaders = headers;
+      resp.statusCode = statusCode;
+    });
+    
+    // Extract tokens from response headers
+    entry.endpoints.forEach(endpoint => this.extractTokensFromHeaders(headers, endpoint));
+  }
+
+  async captureResponseBody(params) {
+    const { requestId } = params;
+    const entry = this.requestIndex.get(requestId);
+    if (!entry) return;
+    
+    try {
+      if (entry.responses.length === 0) return;
+      
+      if (entry.stream) {
+        await this.finishStream(requestId, entry);
+        return;
+      }
+      
+      const response = await (entry.session || this.cdpClient).send('Network.getResponseBody', { requestId });
+      this.storeBody(requestId, entry, response);
+      
+      // Binary, compressed and non-JSON encodings go through the decoder registry
+      const decoded = this.decoders.decode(response, this.bodyContext(entry, 'response', entry.responses[0].mimeType));
+      if (!decoded) return;
+      
+      let parsed = decoded.data;
+      if (decoded.decoder) {
+        entry.responses.forEach(resp => {
+          resp.decoding = { decoder: decoded.decoder, ...decoded.meta };
+        });
+      } else {
+        try {
+          parsed = JSON.parse(decoded.text);
+        } catch {
+          entry.endpoints.forEach((endpoint, i) => this.recordTextBody(endpoint, entry.responses[i], decoded.text));
+          return;
+        }
+      }
+      
+      entry.endpoints.forEach((endpoint, i) => {
+        const operation = entry.operations?.[i];
+        // Batched GraphQL and tRPC responses come back as an array in request order
+        let body = operation && Array.isArray(parsed) ? parsed[i] : parsed;
+        if (operation?.kind === 'graphql') {
+          this.graphqlSchema.addResult(operation, body);
+        } else if (operation?.kind === 'trpc') {
+          body = this.unwrapProcedureResult(endpoint, entry.responses[i], body);
+        }
+        this.recordJSONBody(endpoint, entry.responses[i], body, decoded.text);
+      });
+    } catch (e) {
+      // Body might not be available
+    } finally {
+      this.journalEvent('Network.loadingFinished', params);
+      this.releaseRequest(requestId);
+    }
+  }
+
+  // What a body decoder gets to know about the body it's decoding
+  bodyContext(entry, direction, contentType) {
+    const [endpoint] = entry.endpoints;
+    return {
+      contentType,
+      direction,
+      method: endpoint.method,
+      path: new URL(entry.url).pathname,
+      route: endpoint.path,
+      url: entry.url
+    };
+  }
+
+  // Bodies are stored once per content hash
+  storeBody(requestId, entry, response) {
+    const bodyHash = this.journal ? this.journal.putBody(response.body) : hashBody(response.body);
+    this.journal?.append('Network.responseBody', { requestId, bodyHash, base64Encoded: response.base64Encoded });
+    this.har?.recordBody(requestId, response, bodyHash);
+    
+    entry.responses.forEach(resp => {
+      resp.bodyHash = bodyHash;
+    });
+  }
+
+  // A tRPC procedure's output, or its error with the status tRPC reports for it
+  unwrapProcedureResult(endpoint, resp, item) {
+    const { output, error, status } = unwrapTRPCResult(item);
+    if (error === undefined) {
+      // 207 Multi-Status describes the batch, not this call
+      if (resp.status === 207) this.setStatus(endpoint, resp, 200, 'OK');
+      return output;
+    }
+    
+    if (status) this.setStatus(endpoint, resp, status, error?.data?.code || '');
+    return error;
+  }
+
+  // Moves the response to its new status in the endpoint's counts
+  setStatus(endpoint, resp, status, statusText) {
+    if (--endpoint.statuses[resp.status] <= 0) delete endpoint.statuses[resp.status];
+    endpoint.statuses[status] = (endpoint.statuses[status] || 0) + 1;
+    resp.status = status;
+    resp.statusText = statusText;
+  }
+
+  recordJSONBody(endpoint, resp, body, text) {
+    resp.body = body;
+    
+    // Fold into the inferred schema for this status
+    const status = String(resp.status);
+    endpoint.shapes.responses[status] = addSample(endpoint.shapes.responses[status], body);
+    
+    // Extract preview data (first 200 chars or key fields)
+    const preview = this.extractPreviewData(body);
+    keepBounded(endpoint.previewData, {
+      timestamp: resp.timestamp,
+      preview,
+      fullDataAvailable: true
+    }, previewSample);
+    
+    // Extract tokens from response
+    this.extractTokensFromPayload(body, endpoint);
+    
+    this.runHook('onBody', { endpoint, response: resp, body, text });
+  }
+
+  recordTextBody(endpoint, resp, text) {
+    resp.bodyText = text.substring(0, 500);
+    keepBounded(endpoint.previewData, {
+      timestamp: resp.timestamp,
+      preview: resp.bodyText.substring(0, 200) + '...',
+      fullDataAvailable: false
+    }, previewSample);
+    this.runHook('onBody', { endpoint, response: resp, body: undefined, text });
+  }
+
+  startStream(requestId, entry, format, type) {
+    entry.stream = {
+      format,
+      parser: new StreamParser(format),
+      decoder: new TextDecoder(),
+      // EventSource messages arrive already parsed, as Network.eventSourceMessageReceived
+      source: type === 'EventSource' ? 'eventsource' : 'data',
+      text: '',
+      received: 0,
+      count: 0,
+      events: []
+    };
+    
+    // Responses share the live event list, so streams still open at report time show up too
+    entry.endpoints.forEach((endpoint, i) => {
+      const resp = entry.responses[i];
+      resp.streaming = true;
+      resp.eventCount = 0;
+      resp.events = entry.stream.events;
+      this.ensureStreaming(endpoint, format).streams++;
+    });
+    
+    if (entry.stream.source === 'data') {
+      // Without this, dataReceived only reports lengths and the body may never be complete
+      (entry.session || this.cdpClient).send('Network.streamResourceContent', { requestId })
+        .then(({ bufferedData }) => {
+          if (!bufferedData) return;
+          this.journalEvent('Network.dataReceived', { requestId, data: bufferedData });
+          this.captureStreamData({ requestId, data: bufferedData });
+        })
+        .catch(() => {
+          // Unavailable (HAR import, journal replay, older browsers) - the body is parsed whole when it finishes
+        });
+    }
+  }
+
+  captureStreamData(params) {
+    const stream = this.requestIndex.get(params.requestId)?.stream;
+    if (!stream || stream.source !== 'data' || !params.data) return;
+    
+    // The decoder keeps multi-byte characters split across chunks intact
+    const chunk = stream.decoder.decode(Buffer.from(params.data, 'base64'), { stream: true });
+    stream.received++;
+    if (stream.text.length < MAX_STREAM_TEXT) {
+      stream.text += chunk;
+    }
+    this.recordStreamEvents(params.requestId, stream.parser.push(chunk));
+  }
+
+  captureStreamEvent(params) {
+    const stream = this.requestIndex.get(params.requestId)?.stream;
+    if (!stream) return;
+    
+    stream.received++;
+    this.recordStreamEvents(params.requestId, [{
+      event: params.eventName || 'message',
+      id: params.eventId || null,
+      data: parseEventData(params.data)
+    }]);
+  }
+
+  recordStreamEvents(requestId, events) {
+    const entry = this.requestIndex.get(requestId);
+    if (!entry || events.length === 0) return;
+    
+    const { stream } = entry;
+    events.forEach(event => {
+      stream.count++;
+      if (stream.events.length < MAX_STREAM_EVENTS) {
+        stream.events.push(event);
+      }
+      entry.responses.forEach(resp => {
+        resp.eventCount = stream.count;
+      });
+      
+      entry.endpoints.forEach(endpoint => {
+        const streaming = this.ensureStreaming(endpoint, stream.format);
+        streaming.events[event.event] = (streaming.events[event.event] || 0) + 1;
+        
+        if (event.data && typeof event.data === 'object') {
+          endpoint.shapes.events = endpoint.shapes.events || {};
+          endpoint.shapes.events[event.event] = addSample(endpoint.shapes.events[event.event], event.data);
+          this.extractTokensFromPayload(event.data, endpoint);
+        }
+      });
+    });
+  }
+
+  ensureStreaming(endpoint, format) {
+    if (!endpoint.streaming) {
+      endpoint.streaming = { format, streams: 0, events: {} };
+    }
+    return endpoint.streaming;
+  }
+
+  async finishStream(requestId, entry) {
+    const { stream } = entry;
+    
+    if (stream.received === 0) {
+      // Nothing arrived incrementally (HAR import, no streaming support): parse the whole body
+      try {
+        const response = await (entry.session || this.cdpClient).send('Network.getResponseBody', { requestId });
+        this.storeBody(requestId, entry, response);
+        stream.text = response.base64Encoded ? Buffer.from(response.body, 'base64').toString('utf-8') : response.body;
+        this.recordStreamEvents(requestId, stream.parser.push(stream.text));
+      } catch {
+        // Body might not be available
+      }
+    } else if (stream.source === 'data') {
+      stream.text += stream.decoder.decode();
+      this.storeBody(requestId, entry, { body: stream.text, base64Encoded: false });
+    }
+    this.recordStreamEvents(requestId, stream.parser.end());
+    
+    entry.endpoints.forEach((endpoint, i) => {
+      const resp = entry.responses[i];
+      keepBounded(endpoint.previewData, {
+        timestamp: resp.timestamp,
+        preview: stream.events.slice(0, 5),
+        fullDataAvailable: stream.count <= MAX_STREAM_EVENTS
+      }, previewSample);
+      this.runHook('onBody', { endpoint, response: resp, body: stream.events.map(event => event.data), text: stream.text });
+    });
+  }
+
+  captureSocketCreated(params) {
+    const { requestId, url } = params;
+    
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch {
+      return;
+    }
+    if (!this.scope.allows('GET', urlObj)) return;
+    
+    // One channel per socket route, however many times it reconnects
+    const { path: templatedPath } = templatePath(urlObj.pathname);
+    const key = `${urlObj.protocol}//${urlObj.host}${templatedPath}`;
+    
+    if (!this.channels.has(key)) {
+      this.channels.set(key, {
+        url: key,
+        examples: [],
+        connections: 0,
+        closed: 0,
+        frames: { sent: 0, received: 0 },
+        headers: {},
+        tokens: new Set(),
+        messages: new Map()
+      });
+      console.log(`⚡ WebSocket channel: ${this.redactor.text(key)}`);
+    }
+    
+    const channel = this.channels.get(key);
+    channel.connections++;
+    if (!channel.examples.includes(url) && channel.examples.length < MAX_SAMPLES) {
+      channel.examples.push(url);
+    }
+    this.sockets.set(requestId, channel);
+  }
+
+  captureSocketHandshake(params) {
+    const channel = this.sockets.get(params.requestId);
+    if (!channel || !params.request) return;
+    
+    Object.assign(channel.headers, params.request.headers);
+    this.extractTokensFromHeaders(params.request.headers, channel);
+  }
+
+  captureSocketFrame(params, direction) {
+    const channel = this.sockets.get(params.requestId);
+    if (!channel) return;
+    
+    channel.frames[direction]++;
+    const frame = parseFrame(params.response);
+    
+    const key = `${direction} ${frame.discriminator || ''}:${frame.name}`;
+    if (!channel.messages.has(key)) {
+      channel.messages.set(key, {
+        direction,
+        discriminator: frame.discriminator,
+        name: frame.name,
+        count: 0,
+        examples: [],
+        shape: null
+      });
+    }
+    
+    const message = channel.messages.get(key);
+    message.count++;
+    keepBounded(message.examples, {
+      timestamp: new Date().toISOString(),
+      ...(frame.data !== undefined ? { data: frame.data } : { text: frame.text })
+    }, example => example.data ?? example.text);
+    
+    if (frame.data !== undefined) {
+      message.shape = addSample(message.shape, frame.data);
+      this.extractTokensFromPayload(frame.data, channel);
+    }
+    
+    this.runHook('onFrame', { channel, message, direction, data: frame.data, text: params.response?.payloadData });
+  }
+
+  captureSocketClosed(params) {
+    const channel = this.sockets.get(params.requestId);
+    if (!channel) return;
+    
+    channel.closed++;
+    this.sockets.delete(params.requestId);
+  }
+
+  extractTokensFromHeaders(headers, endpoint) {
+    if (!headers) return;
+    
+    const tokenHeaders = [
+      'authorization', 'x-auth-token', 'x-csrf-token', 'x-api-key',
+      'x-access-token', 'x-session-token', 'cookie'
+    ];
+    
+    for (const [key, value] of Object.entries(headers)) {
+      const lowerKey = key.toLowerCase();
+      if (tokenHeaders.includes(lowerKey)) {
+        if (lowerKey === 'cookie') {
+          // Parse cookies
+          const cookies = value.split(';').map(c => c.trim());
+          cookies.forEach(cookie => {
+            const index = cookie.indexOf('=');
+            const name = cookie.substring(0, index);
+            const val = cookie.substring(index + 1);
+            if (index > 0 && val) {
+              endpoint.tokens.add(`cookie.${name}=${val}`);
+            }
+          });
+        } else {
+          endpoint.tokens.add(`${key}=${value}`);
+        }
+      }
+    }
+  }
+
+  extractTokensFromPayload(payload, endpoint) {
+    if (!payload || typeof payload !== 'object') return;
+    
+    const tokenKeys = ['token', 'access_token', 'refresh_token', 'api_key', 'session_id', 'auth'];
+    
+    const searchObject = (obj, path = '') => {
+      for (const [key, value] of Object.entries(obj)) {
+        if (tokenKeys.some(tk => key.toLowerCase().includes(tk)) && typeof value === 'string') {
+          endpoint.tokens.add(`payload.${path}${key}=${value}`);
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          searchObject(value, `${path}${key}.`);
+        }
+      }
+    };
+    
+    searchObject(payload);
+  }
+
+  extractPreviewData(data) {
+    if (!data || typeof data !== 'object') return JSON.stringify(data).substring(0, 200);
+    
+    // Smart preview extraction
+    const preview = {};
+    const importantKeys = ['id', 'name', 'title', 'message', 'data', 'results', 'items', 'status', 'error'];
+    
+    for (const key of importantKeys) {
+      if (data[key] !== undefined) {
+        if (typeof data[key] === 'string') {
+          preview[key] = data[key].substring(0, 100);
+        } else if (Array.isArray(data[key])) {
+          preview[key] = `Array(${data[key].length})`;
+          if (data[key].length > 0) {
+            preview[`${key}[0]`] = typeof data[key][0] === 'object' 
+              ? '{...}' 
+              : String(data[key][0]).substring(0, 50);
+          }
+        } else if (typeof data[key] === 'object') {
+          preview[key] = '{...}';
+        } else {
+          preview[key] = data[key];
+        }
+      }
+    }
+    
+    // If no important keys found, just show first few keys
+    if (Object.keys(preview).length === 0) {
+      Object.entries(data).slice(0, 5).forEach(([key, value]) => {
+        preview[key] = typeof value === 'object' ? '{...}' : String(value).substring(0, 50);
+      });
+    }
+    
+    return preview;
+  }
+
+  async openTarget(targetUrl) {
+    this.domain = new URL(targetUrl).hostname;
+    
+    // Navigate to target
+    await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
+    
+    // Get initial cookies
+    const cookies = await this.page.context().cookies();
+    cookies.forEach(cookie => {
+      this.cookies.set(cookie.name, cookie);
+    });
+  }
+
+  // Tools call this for every click/scroll/navigation so plugins can follow along
+  recordInteraction(type, target = {}) {
+    this.runHook('onInteraction', { type, target });
+  }
+
+  buildReport() {
+    // Plugins fill these containers in from onReport
+    const report = {
+      summary: [],          // extra header lines, e.g. "**Discovered Pages:** 3"
+      sections: [],         // markdown sections placed before the endpoint list
+      endpointDetails: [],  // (endpoint, key) => markdown appended to each endpoint
+      json: {}              // extra top-level fields for the JSON report
+    };
+    
+    this.runHook('onReport', report);
+    return report;
+  }
+
+  generateMarkdown(report = this.buildReport()) {
+    const timestamp = new Date().toISOString();
+    const filename = `endpoints-${this.domain.replace(/\./g, '-')}.md`;
+    
+    let md = `# 📡 API Endpoints Documentation\n\n`;
+    md += `**Domain:** ${this.domain}  \n`;
+    md += `**Captured:** ${timestamp}  \n`;
+    md += `**Total Endpoints:** ${this.endpoints.size}  \n`;
+    if (this.session) {
+      md += `**Session:** ${this.session.name} (run ${this.session.data.runs.length}, since ${this.session.data.createdAt})  \n`;
+    }
+    if (this.channels.size > 0) {
+      md += `**Realtime Channels:** ${this.channels.size}  \n`;
+    }
+    const skipped = this.scope.summary();
+    if (skipped.length > 0) {
+      const requests = skipped.reduce((sum, entry) => sum + entry.requests, 0);
+      md += `**Out of Scope:** ${requests} requests to ${skipped.length} hosts (not documented)  \n`;
+    }
+    const unsent = Array.from(this.endpoints.values()).reduce((sum, endpoint) => sum + (endpoint.unsent || 0), 0);
+    if (this.readOnly || unsent > 0) {
+      md += `**Read-only:** ${unsent} state-changing requests observed, not sent  \n`;
+    }
+    // Traffic from anywhere but the top-level page: popups, iframes, workers
+    const surfaces = new Set();
+    this.endpoints.forEach(endpoint => Object.keys(endpoint.surfaces).forEach(label => surfaces.add(label)));
+    if (Array.from(surfaces).some(label => label !== 'page')) {
+      const labels = Array.from(surfaces);
+      md += `**Capture Surfaces:** ${labels.slice(0, 10).map(label => this.redactor.text(label)).join(', ')}${labels.length > 10 ? `, +${labels.length - 10} more` : ''}  \n`;
+    }
+    const unclicked = this.guard.summary();
+    if (unclicked.length > 0) {
+      md += `**Skipped Interactions:** ${unclicked.length} elements left unclicked by the interaction guard  \n`;
+    }
+    report.summary.forEach(line => {
+      md += `${line}  \n`;
+    });
+    md += `\n`;
+    
+    // Global auth tokens
+    const allTokens = new Set();
+    [...this.endpoints.values(), ...this.channels.values()].forEach(ep => {
+      ep.tokens.forEach(token => allTokens.add(token));
+    });
+    
+    if (allTokens.size > 0) {
+      md += `## 🔐 Authentication Tokens\n\n`;
+      md += `\`\`\`\n`;
+      Array.from(allTokens).forEach(token => {
+        md += `${this.redactor.token(token)}\n`;
+      });
+      md += `\`\`\`\n\n`;
+    }
+    
+    // Session cookies
+    if (this.cookies.size > 0) {
+      md += `## 🍪 Important Cookies\n\n`;
+      md += `| Name | Domain | Value |\n`;
+      md += `|------|--------|-------|\n`;
+      
+      Array.from(this.cookies.values())
+        .filter(c => c.httpOnly || c.name.includes('session') || c.name.includes('auth'))
+        .slice(0, 10)
+        .forEach(cookie => {
+          const value = cookie.value ? this.redactor.cookie(cookie.name, cookie.value) : 'N/A';
+          md += `| ${cookie.name} | ${cookie.domain} | ${value} |\n`;
+        });
+      md += `\n`;
+    }
+    
+    // Plugin sections
+    report.sections.forEach(section => {
+      md += this.redactor.text(section);
+    });
+    
+    // Schema rebuilt from observed GraphQL traffic
+    if (this.graphqlSchema.size > 0) {
+      md += `## 🧬 GraphQL Schema (observed)\n\n`;
+      md += `Reconstructed from the selections that were sent and the data that came back - only fields the site actually queried appear.\n\n`;
+      md += `\`\`\`graphql\n${this.graphqlSchema.toSDL()}\n\`\`\`\n\n`;
+    }
+    
+    // tRPC procedures by router instead of raw batch URLs
+    const procedures = Array.from(this.endpoints.values())
+      .filter(endpoint => endpoint.trpc)
+      .map(endpoint => ({ ...endpoint.trpc, method: endpoint.method, path: endpoint.path }));
+    if (procedures.length > 0) {
+      md += `## 🌲 tRPC Procedures\n\n`;
+      md += `${renderProcedureTree(procedures)}\n\n`;
+    }
+    
+    // WebSocket channels with example messages in both directions
+    if (this.channels.size > 0) {
+      md += `## ⚡ Realtime Channels\n\n`;
+      this.channels.forEach(channel => {
+        md += this.channelDetails(channel);
+      });
+    }
+    
+    // Endpoints grouped by path pattern
+    md += `## 📋 API Endpoints\n\n`;
+    
+    // Group by base path
+    const grouped = new Map();
+    this.endpoints.forEach((endpoint, key) => {
+      const basePath = endpoint.path.split('/').slice(0, 3).join('/');
+      if (!grouped.has(basePath)) {
+        grouped.set(basePath, []);
+      }
+      grouped.get(basePath).push({ key, endpoint });
+    });
+    
+    // Sort groups by importance (tRPC, API, etc)
+    const sortedGroups = Array.from(grouped.entries()).sort(([a], [b]) => {
+      if (a.includes('trpc')) return -1;
+      if (b.includes('trpc')) return 1;
+      if (a.includes('api')) return -1;
+      if (b.includes('api')) return 1;
+      return a.localeCompare(b);
+    });
+    
+    sortedGroups.forEach(([basePath, endpoints]) => {
+      md += `### ${basePath}\n\n`;
+      
+      endpoints.forEach(({ key, endpoint }) => {
+        let operation = '';
+        if (endpoint.graphql) {
+          operation = ` — ${endpoint.graphql.operationType || 'operation'} ${endpoint.graphql.operationName}`;
+        } else if (endpoint.trpc) {
+          operation = ` — ${endpoint.trpc.type} ${endpoint.trpc.procedure}`;
+        }
+        if (endpoint.streaming) {
+          operation += ' (streaming)';
+        }
+        if (endpoint.unsent && endpoint.responses.length === 0) {
+          operation += ' (observed, not sent)';
+        }
+        md += `#### ${endpoint.method} ${endpoint.path}${operation}\n\n`;
+        
+        if (endpoint.firstSeen) {
+          md += `**First Seen:** ${endpoint.firstSeen} · **Last Seen:** ${endpoint.lastSeen}\n\n`;
+        }
+        
+        // Which tab, frame or worker issued it, when it's not just the page
+        const issuedBy = Object.entries(endpoint.surfaces);
+        if (issuedBy.length > 0 && !(issuedBy.length === 1 && issuedBy[0][0] === 'page')) {
+          md += `**Issued by:** ${issuedBy.map(([label, count]) => `${this.redactor.text(label)} (${count})`).join(', ')}\n\n`;
+        }
+        
+        if (endpoint.unsent && endpoint.responses.length > 0) {
+          md += `**Read-only:** ${endpoint.unsent} request${endpoint.unsent === 1 ? '' : 's'} observed, not sent\n\n`;
+        }
+        
+        // Path parameters collapsed by templating
+        if (Object.keys(endpoint.pathParams).length > 0) {
+          md += `**Path Parameters:**\n`;
+          Object.entries(endpoint.pathParams).forEach(([name, param]) => {
+            md += `- \`${name}\` (${param.kind}) e.g. \`${this.redactor.text(String(param.examples[0]))}\`\n`;
+          });
+          md += `\n`;
+        }
+        
+        // Query parameters (merged across all concrete requests); tRPC input is shown decoded instead
+        if (Object.keys(endpoint.query).length > 0 && !endpoint.trpc) {
+          md += `**Query Parameters:**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(endpoint.query), null, 2)}\n\`\`\`\n\n`;
+        }
+        
+        // Request headers (important ones)
+        const importantHeaders = {};
+        const headerKeys = ['content-type', 'authorization', 'x-csrf-token', 'x-api-key'];
+        
+        if (endpoint.requests.length > 0) {
+          const headers = endpoint.requests[0].headers;
+          headerKeys.forEach(key => {
+            if (headers[key]) {
+              importantHeaders[key] = headers[key];
+            }
+          });
+          
+          if (Object.keys(importantHeaders).length > 0) {
+            md += `**Headers:**\n\`\`\`json\n${JSON.stringify(this.redactor.headers(importantHeaders), null, 2)}\n\`\`\`\n\n`;
+          }
+        }
+        
+        // Request payload
+        if (endpoint.graphql) {
+          md += this.graphqlDetails(endpoint);
+        } else if (endpoint.trpc) {
+          md += this.trpcDetails(endpoint);
+        } else if (endpoint.payloads.length > 0) {
+          const decoding = endpoint.payloads[0].decoding;
+          md += `**Request Payload${decoding ? ` (decoded from ${decoding.decoder})` : ''}:**\n\`\`\`json\n`;
+          const payload = this.redactor.deep(endpoint.payloads[0].data || endpoint.payloads[0].raw);
+          const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
+          md += payloadStr.length > 1000 ? payloadStr.substring(0, 1000) + '\n...' : payloadStr;
+          md += `\n\`\`\`\n\n`;
+        }
+        
+        // Inferred schemas across every JSON sample
+        if (endpoint.shapes.request) {
+          const label = endpoint.graphql ? 'Variables Schema' : endpoint.trpc ? 'Input Schema' : 'Request Schema';
+          md += `**${label}:**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(toJSONSchema(endpoint.shapes.request)), null, 2)}\n\`\`\`\n\n`;
+        }
+        
+        Object.entries(endpoint.shapes.responses).forEach(([status, shape]) => {
+          md += `**Response Schema (${status}):**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(toJSONSchema(shape)), null, 2)}\n\`\`\`\n\n`;
+        });
+        
+        // Streamed responses: event types and an example sequence
+        if (endpoint.streaming) {
+          md += this.streamingDetails(endpoint);
+        }
+        
+        // Response preview for bodies that weren't JSON
+        if (endpoint.previewData.length > 0 && Object.keys(endpoint.shapes.responses).length === 0 && !endpoint.streaming) {
+          md += `**Response Preview:**\n\`\`\`json\n`;
+          const preview = this.redactor.deep(endpoint.previewData[0].preview);
+          const previewStr = typeof preview === 'string' ? preview : JSON.stringify(preview, null, 2);
+          md += previewStr;
+          md += `\n\`\`\`\n\n`;
+        }
+        
+        // Bodies that arrived in a binary encoding
+        const decoding = endpoint.responses.find(resp => resp.decoding)?.decoding;
+        if (decoding) {
+          md += `**Response Encoding:** ${decoding.decoder}${decoding.protoType ? ` as \`${decoding.protoType}\`` : ''}`;
+          if (decoding.trailers?.['grpc-status'] !== undefined) {
+            md += ` (grpc-status ${decoding.trailers['grpc-status']}${decoding.trailers['grpc-message'] ? `: ${decoding.trailers['grpc-message']}` : ''})`;
+          }
+          md += `\n\n`;
+        }
+        
+        // Response status
+        if (endpoint.responses.length > 0) {
+          const resp = endpoint.responses[0];
+          md += `**Status:** ${resp.status} ${resp.statusText}\n\n`;
+        }
+        
+        // Plugin details for this endpoint
+        report.endpointDetails.forEach(detail => {
+          md += this.redactor.text(detail(endpoint, key) || '');
+        });
+        
+        // Full example URL
+        md += `**Full URL Example:**\n\`\`\`\n${this.redactor.text(endpoint.url)}\n\`\`\`\n\n`;
+        
+        // Other concrete requests folded into this template
+        if (endpoint.examples.length > 1) {
+          md += `**Concrete Examples:**\n`;
+          endpoint.examples.forEach(example => {
+            md += `- \`${this.redactor.text(example.url)}\`\n`;
+          });
+          md += `\n`;
+        }
+        
+        // Runnable calls built from the first captured request
+        if (endpoint.requests.length > 0) {
+          const example = requestExample(endpoint, this.redactor);
+          md += `**Examples:**\n`;
+          md += `\`\`\`bash\n${curlSnippet(example)}\n\`\`\`\n`;
+          md += `\`\`\`python\n${pythonSnippet(example)}\n\`\`\`\n`;
+          md += `\`\`\`javascript\n${fetchSnippet(example)}\n\`\`\`\n\n`;
+        }
+        
+        md += `---\n\n`;
+      });
+    });
+    
+    // Skipped traffic, summarized rather than documented
+    if (skipped.length > 0) {
+      md += this.outOfScopeSection(skipped);
+    }
+    if (unclicked.length > 0) {
+      md += this.skippedInteractionsSection(unclicked);
+    }
+    
+    // Usage examples
+    md += `## 💻 Usage Examples\n\n`;
+    
+    // Auth for the client example, from the first request that sent it
+    const authorization = Array.from(this.endpoints.values())
+      .map(endpoint => getHeader(endpoint.requests[0]?.headers, 'authorization'))
+      .find(Boolean);
+    const firstEndpoint = Array.from(this.endpoints.values())[0];
+    
+    // Typed TypeScript client (written next to the report)
+    md += `### TypeScript Client\n\n`;
+    md += `\`${typescriptClientFilename(this.domain)}\` has one typed function per endpoint:\n\n`;
+    md += `\`\`\`typescript\n`;
+    md += `import { createClient } from './${typescriptClientFilename(this.domain).replace(/\.ts$/, '')}';\n\n`;
+    md += `const api = createClient({\n`;
+    if (authorization) {
+      md += `  auth: () => ({ Authorization: ${JSON.stringify(this.redactor.header('authorization', authorization))} }),\n`;
+    }
+    md += `});\n`;
+    
+    if (firstEndpoint) {
+      const [firstKey] = this.endpoints.keys();
+      const args = Array.from(firstEndpoint.path.matchAll(/\{([^}]+)\}/g))
+        .map(([, param]) => JSON.stringify(this.redactor.text(String(firstEndpoint.pathParams[param]?.examples[0] ?? ''))));
+      const payload = firstEndpoint.payloads[0]?.data;
+      const body = firstEndpoint.graphql ? payload?.variables : firstEndpoint.trpc ? firstEndpoint.trpc.input : payload;
+      if (body !== undefined) args.push(JSON.stringify(this.redactor.deep(body)));
+      md += `\n// Example API call\n`;
+      md += `const data = await api.${clientFunctionNames(this.endpoints).get(firstKey)}(${args.join(', ')});\n`;
+    }
+    
+    md += `\`\`\`\n\n`;
+    
+    const postmanFiles = postmanFilenames(this.domain);
+    md += `Every endpoint is also in the Postman collection \`${postmanFiles.collection}\`; import \`${postmanFiles.environment}\` alongside it for the auth variables.\n\n`;
+    
+    md += `---\n\n`;
+    md += `*Generated by ${this.name}*\n`;
+    
+    return { markdown: md, filename };
+  }
+
+  graphqlDetails(endpoint) {
+    const { operationType, operationName, query, persistedQuery, batched } = endpoint.graphql;
+    
+    let md = `**GraphQL ${operationType || 'operation'}:** \`${operationName}\`${batched ? ' (sent in batches)' : ''}  \n`;
+    if (persistedQuery) {
+      md += `**Persisted Query:** \`sha256:${persistedQuery}\`  \n`;
+    }
+    md += `\n`;
+    
+    if (query) {
+      md += `**Query Document:**\n\`\`\`graphql\n${this.redactor.text(query.trim())}\n\`\`\`\n\n`;
+    }
+    
+    const variables = endpoint.payloads[0]?.data?.variables;
+    if (variables && Object.keys(variables).length > 0) {
+      md += `**Variables:**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(variables), null, 2)}\n\`\`\`\n\n`;
+    }
+    
+    return md;
+  }
+
+  trpcDetails(endpoint) {
+    const { procedure, type, input, batched } = endpoint.trpc;
+    
+    let md = `**tRPC ${type}:** \`${procedure}\`${batched ? ' (sent in batches)' : ''}\n\n`;
+    if (input !== undefined) {
+      md += `**Input:**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(input), null, 2)}\n\`\`\`\n\n`;
+    }
+    return md;
+  }
+
+  outOfScopeSection(skipped) {
+    let md = `## 🚫 Out of Scope\n\n`;
+    md += `Requests outside the capture scope (trackers, other hosts, filtered paths or methods). Counted, not documented.\n\n`;
+    md += `| Host | Requests | Why | Example paths |\n`;
+    md += `|------|----------|-----|---------------|\n`;
+    
+    skipped.slice(0, 20).forEach(({ host, requests, reasons, paths }) => {
+      const why = Object.keys(reasons).join(', ');
+      md += `| ${host} | ${requests} | ${why} | ${paths.map(p => `\`${this.redactor.text(p)}\``).join(' ')} |\n`;
+    });
+    if (skipped.length > 20) {
+      md += `\n...and ${skipped.length - 20} more hosts\n`;
+    }
+    
+    return md + `\n`;
+  }
+
+  skippedInteractionsSection(unclicked) {
+    let md = `## 🛡️ Skipped Interactions\n\n`;
+    md += `Elements the auto-clicker left alone (destructive, logout, payment or external submit). Endpoints behind them were not triggered.\n\n`;
+    md += `| Element | Why | Page | Seen |\n`;
+    md += `|---------|-----|------|------|\n`;
+    
+    const cell = value => this.redactor.text(value).replace(/\|/g, '\\|');
+    unclicked.forEach(({ type, label, reason, page, count }) => {
+      md += `| ${type} "${cell(label)}" | ${cell(reason)} | \`${cell(page)}\` | ${count} |\n`;
+    });
+    
+    return md + `\n`;
+  }
+
+  streamingDetails(endpoint) {
+    const { format, streams, events } = endpoint.streaming;
+    const counts = Object.entries(events)
+      .sort(([, a], [, b]) => b - a)
+      .map(([name, count]) => `\`${name}\` ×${count}`);
+    
+    let md = `**Streaming:** ${format === 'sse' ? 'Server-Sent Events' : 'JSON lines'} (${streams} stream${streams === 1 ? '' : 's'})  \n`;
+    if (counts.length > 0) {
+      md += `**Events:** ${counts.join(', ')}\n\n`;
+    } else {
+      md += `\n`;
+    }
+    
+    Object.entries(endpoint.shapes.events || {}).forEach(([name, shape]) => {
+      md += `**Event Schema (${name}):**\n\`\`\`json\n${JSON.stringify(this.redactor.deep(toJSONSchema(shape)), null, 2)}\n\`\`\`\n\n`;
+    });
+    
+    // The longest stream makes the most useful example
+    const example = endpoint.responses
+      .filter(resp => resp.events?.length > 0)
+      .sort((a, b) => b.eventCount - a.eventCount)[0];
+    if (example) {
+      const shown = example.events.slice(0, 20);
+      md += `**Example Event Sequence** (${shown.length} of ${example.eventCount}):\n\`\`\`\n`;
+      shown.forEach(({ event, id, data }) => {
+        const redacted = this.redactor.deep(data);
+        let dataStr = typeof redacted === 'string' ? redacted : JSON.stringify(redacted);
+        if (dataStr.length > 300) dataStr = dataStr.substring(0, 300) + '...';
+        
+        if (format === 'sse') {
+          md += `event: ${event}\n${id !== null ? `id: ${id}\n` : ''}data: ${dataStr}\n\n`;
+        } else {
+          md += `${dataStr}\n`;
+        }
+      });
+      if (example.eventCount > shown.length) {
+        md += `... ${example.eventCount - shown.length} more events\n`;
+      }
+      md += `\`\`\`\n\n`;
+    }
+    
+    return md;
+  }
+
+  channelDetails(channel) {
+    let md = `### ${this.redactor.text(channel.url)}\n\n`;
+    md += `**Connections:** ${channel.connections} (${channel.closed} closed)  \n`;
+    md += `**Frames:** ${channel.frames.sent} sent / ${channel.frames.received} received\n\n`;
+    
+    [['sent', '⬆️ Sent'], ['received', '⬇️ Received']].forEach(([direction, heading]) => {
+      const messages = Array.from(channel.messages.values())
+        .filter(message => message.direction === direction)
+        .sort((a, b) => b.count - a.count);
+      if (messages.length === 0) return;
+      
+      md += `**${heading}:**\n\n`;
+      messages.forEach(message => {
+        const label = message.discriminator ? `${message.discriminator}: ${message.name}` : message.name;
+        const example = message.examples[0];
+        const exampleStr = example.data !== undefined
+          ? JSON.stringify(this.redactor.deep(example.data), null, 2)
+          : this.redactor.text(example.text);
+        
+        md += `\`${label}\` ×${message.count}\n`;
+        md += `\`\`\`${example.data !== undefined ? 'json' : ''}\n`;
+        md += exampleStr.length > 1000 ? exampleStr.substring(0, 1000) + '\n...' : exampleStr;
+        md += `\n\`\`\`\n\n`;
+      });
+    });
+    
+    return md;
+  }
+
+  serializeChannel(channel) {
+    return {
+      ...channel,
+      tokens: Array.from(channel.tokens),
+      messages: Array.from(channel.messages.values()).map(({ shape, ...message }) => ({
+        ...message,
+        schema: shape ? toJSONSchema(shape) : null
+      }))
+    };
+  }
+
+  // Sets (tokens, plugin-added fields) don't survive JSON.stringify
+  serializeEndpoint(endpoint) {
+    const serialized = {};
+    for (const [field, value] of Object.entries(endpoint)) {
+      serialized[field] = value instanceof Set ? Array.from(value) : value;
+    }
+    
+    delete serialized.shapes;
+    serialized.schemas = renderSchemas(endpoint.shapes);
+    serialized.requests = endpoint.requests.slice(-3); // Last 3 requests
+    serialized.responses = endpoint.responses.slice(-3); // Last 3 responses
+    return serialized;
+  }
+
+  async saveReport(outputDir = '.') {
+    const report = this.buildReport();
+    const { markdown, filename: basename } = this.generateMarkdown(report);
+    const filename = path.join(outputDir, basename);
+    
+    await fs.writeFile(filename, markdown);
+    console.log(`\n📄 Report saved to ${filename}`);
+    
+    // Also save raw JSON for programmatic use
+    const capture = {
+      domain: this.domain,
+      capturedAt: new Date().toISOString(),
+      endpoints: Object.fromEntries(
+        Array.from(this.endpoints.entries()).map(([key, endpoint]) => [key, this.serializeEndpoint(endpoint)])
+      ),
+      cookies: Object.fromEntries(this.cookies),
+      authTokens: Array.from(this.authTokens),
+      journalDir: this.journal ? this.journal.dir : undefined,
+      session: this.session ? this.session.name : undefined,
+      graphqlSchema: this.graphqlSchema.size > 0 ? this.graphqlSchema.toSDL() : undefined,
+      scope: this.scope.toJSON(),
+      outOfScope: this.scope.skipped.size > 0 ? this.scope.summary() : undefined,
+      skippedInteractions: this.guard.skipped.size > 0 ? this.guard.summary() : undefined,
+      realtimeChannels: this.channels.size > 0
+        ? Object.fromEntries(Array.from(this.channels.entries()).map(([key, channel]) => [key, this.serializeChannel(channel)]))
+        : undefined,
+      ...report.json
+    };
+    const jsonData = this.redactor.deep(capture);
+    
+    const jsonFile = filename.replace('.md', '.json');
+    await fs.writeFile(jsonFile, JSON.stringify(jsonData, null, 2));
+    console.log(`📦 Raw data saved to ${jsonFile}`);
+    
+    // OpenAPI 3.1 spec built from the unredacted data (auth formats stay detectable), then redacted
+    const openapiFile = path.join(outputDir, openAPIFilename(this.domain));
+    await fs.writeFile(openapiFile, JSON.stringify(this.redactor.deep(generateOpenAPI(capture)), null, 2));
+    console.log(`📘 OpenAPI spec saved to ${openapiFile}`);
+    
+    // Typed TypeScript client, from the redacted data (types don't depend on values)
+    const clientFile = path.join(outputDir, typescriptClientFilename(this.domain));
+    await fs.writeFile(clientFile, generateTypeScriptClient(jsonData));
+    console.log(`🧩 TypeScript client saved to ${clientFile}`);
+    
+    // Postman collection; auth values go to the environment file as {{variables}}
+    const { collection, environment } = generatePostman(capture, { name: `${this.domain} API`, redactor: this.redactor });
+    const postmanFiles = postmanFilenames(this.domain);
+    await fs.writeFile(path.join(outputDir, postmanFiles.collection), JSON.stringify(collection, null, 2));
+    await fs.writeFile(path.join(outputDir, postmanFiles.environment), JSON.stringify(environment, null, 2));
+    console.log(`📮 Postman collection saved to ${path.join(outputDir, postmanFiles.collection)} (environment: ${postmanFiles.environment})`);
+    
+    // Optional HAR 1.2 log of the raw traffic
+    if (this.har) {
+      const harFile = filename.replace('.md', '.har');
+      await fs.writeFile(harFile, JSON.stringify(this.redactor.deep(this.har.toHAR({ name: this.name })), null, 2));
+      console.log(`🗂️ HAR saved to ${harFile}`);
+    }
+    
+    // The next run with this session name resumes from here
+    if (this.session) {
+      await this.session.save({ domain: this.domain, endpoints: this.endpoints.size, state: this.exportSessionState() });
+      console.log(`🔁 Session "${this.session.name}" saved to ${this.session.file}`);
+    }
+  }
+}
+
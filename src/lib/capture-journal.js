@@ -0,0 +1,155 @@
+/**
+ * Capture Journal
+ * Streams capture events to an on-disk NDJSON journal and stores response
+ * bodies once per content hash, so long sessions keep flat memory and a
+ * crash never loses more than the event in flight
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createHash } from 'crypto';
+
+export function hashBody(body) {
+  return createHash('sha256').update(body).digest('hex');
+}
+
+export class CaptureJournal {
+  constructor(dir) {
+    this.dir = dir;
+    this.file = path.join(dir, 'journal.ndjson');
+    this.bodiesDir = path.join(dir, 'bodies');
+    this.knownBodies = new Set();
+    this.fd = null;
+  }
+
+  open() {
+    fs.mkdirSync(this.bodiesDir, { recursive: true });
+    // Synchronous appends: every event is on disk before the handler returns
+    this.fd = fs.openSync(this.file, 'a');
+    return this;
+  }
+
+  append(event, params) {
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, JSON.stringify({ at: Date.now(), event, params }) + '\n');
+  }
+
+  // Content-addressed body storage: identical bodies are written once
+  putBody(body) {
+    const hash = hashBody(body);
+    if (!this.knownBodies.has(hash)) {
+      const bodyFile = path.join(this.bodiesDir, hash);
+      if (!fs.existsSync(bodyFile)) {
+        fs.writeFileSync(bodyFile, body);
+      }
+      this.knownBodies.add(hash);
+    }
+    return hash;
+  }
+
+  getBody(hash) {
+    return fs.readFileSync(path.join(this.bodiesDir, hash), 'utf-8');
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+/**
+ * Rebuild an engine's endpoint model from a journal directory, e.g. after a
+ * crashed run. Events go through the same capture handlers as a live session.
+ */
+export async function replayJournal(engine, dir) {
+  const journal = new CaptureJournal(dir);
+  if (!fs.existsSync(journal.file)) {
+    throw new Error(`No journal found at ${journal.file}`);
+  }
+
+  // Serve response bodies from the body store instead of Network.getResponseBody
+  const bodies = new Map();
+  engine.cdpClient = {
+    send: async (method, params) => {
+      if (method === 'Network.getResponseBody' && bodies.has(params.requestId)) {
+        const { bodyHash, base64Encoded } = bodies.get(params.requestId);
+        bodies.delete(params.requestId);
+        return { body: journal.getBody(bodyHash), base64Encoded };
+      }
+      throw new Error(`${method} is not available when replaying a journal`);
+    }
+  };
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(journal.file, 'utf-8'),
+    crlfDelay: Infinity
+  });
+
+  let events = 0;
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      // A crash can leave a torn last line
+      continue;
+    }
+    events++;
+
+    const { event, params } = record;
+    switch (event) {
+      case 'Network.requestWillBeSent':
+        engine.captureRequest(params);
+        break;
+      case 'Network.requestWillBeSentExtraInfo':
+        engine.captureRequestHeaders(params);
+        break;
+      case 'Network.responseReceived':
+        engine.captureResponse(params);
+        break;
+      case 'Network.responseReceivedExtraInfo':
+        engine.captureResponseHeaders(params);
+        break;
+      case 'Network.responseBody':
+        bodies.set(params.requestId, params);
+        break;
+      case 'Network.dataReceived':
+        engine.captureStreamData(params);
+        break;
+      case 'Network.eventSourceMessageReceived':
+        engine.captureStreamEvent(params);
+        break;
+      case 'Network.loadingFinished':
+        await engine.captureResponseBody(params);
+        break;
+      case 'Fetch.requestPaused':
+        engine.captureUnsentRequest(params);
+        break;
+      case 'Network.loadingFailed':
+        engine.releaseRequest(params.requestId);
+        break;
+      case 'Network.webSocketCreated':
+        engine.captureSocketCreated(params);
+        break;
+      case 'Network.webSocketWillSendHandshakeRequest':
+        engine.captureSocketHandshake(params);
+        break;
+      case 'Network.webSocketFrameSent':
+        engine.captureSocketFrame(params, 'sent');
+        break;
+      case 'Network.webSocketFrameReceived':
+        engine.captureSocketFrame(params, 'received');
+        break;
+      case 'Network.webSocketClosed':
+        engine.captureSocketClosed(params);
+        break;
+    }
+  }
+
+  return { events, endpoints: engine.endpoints.size };
+}
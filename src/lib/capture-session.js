@@ -0,0 +1,65 @@
+/**
+ * Capture Sessions
+ * A named session builds up coverage of one site over several runs. Each run
+ * journals into sessions/<name>/runs/<timestamp>/, and resuming replays every
+ * earlier run's journal through the capture handlers, so endpoints, samples,
+ * schemas and discovered pages come back exactly as captured and new traffic
+ * merges into them. session.json lists the runs and keeps tool state the
+ * journal doesn't hold (e.g. which elements were already clicked).
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+export class CaptureSession {
+  constructor(name, baseDir = 'sessions') {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Invalid session name "${name}" - use letters, digits, dots, dashes and underscores`);
+    }
+    this.name = name;
+    this.dir = path.join(baseDir, name);
+    this.file = path.join(this.dir, 'session.json');
+    this.runsDir = path.join(this.dir, 'runs');
+    this.data = { name, createdAt: new Date().toISOString(), domain: null, runs: [], state: {} };
+    this.current = null;
+  }
+
+  load() {
+    if (fs.existsSync(this.file)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.file, 'utf-8')) };
+    }
+    return this;
+  }
+
+  // Runs before this one, oldest first
+  previousRuns() {
+    return this.data.runs.filter(run => run !== this.current);
+  }
+
+  startRun(journalDir) {
+    this.current = { journalDir, startedAt: new Date().toISOString(), endedAt: null, endpoints: 0 };
+    this.data.runs.push(this.current);
+    return this.save();
+  }
+
+  async save({ domain, endpoints, state } = {}) {
+    if (this.current && endpoints !== undefined) {
+      this.current.endedAt = new Date().toISOString();
+      this.current.endpoints = endpoints;
+    }
+    if (domain) this.data.domain = domain;
+    if (state) this.data.state = state;
+
+    await fsPromises.mkdir(this.dir, { recursive: true });
+    await fsPromises.writeFile(this.file, JSON.stringify(this.data, null, 2));
+  }
+}
+
+/**
+ * Read a session name from tool CLI arguments: --session=<name>
+ */
+export function sessionFromArgs(argv) {
+  const sessionArg = argv.find(arg => arg.startsWith('--session='));
+  return sessionArg ? sessionArg.substring('--session='.length) : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * CBOR Decoding (RFC 8949)
+ * Decodes to JSON-able values the same way as the msgpack decoder: byte
+ * strings become base64, big integers become strings, date tags become ISO
+ * strings and other tags are kept as { $tag, value }
+ */
+
+import { jsonSafeInteger } from './msgpack.js';
+
+const BREAK = Symbol('break');
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of CBOR data');
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  // The argument following an initial byte: a count, length or integer value
+  argument(info) {
+    if (info < 24) return info;
+    if (info === 24) return this.view.getUint8(this.take(1));
+    if (info === 25) return this.view.getUint16(this.take(2));
+    if (info === 26) return this.view.getUint32(this.take(4));
+    if (info === 27) return jsonSafeInteger(this.view.getBigUint64(this.take(8)));
+    if (info === 31) return null; // indefinite length
+    throw new Error(`Invalid CBOR additional info ${info}`);
+  }
+
+  bytesOf(length) {
+    const at = this.take(length);
+    return this.bytes.subarray(at, at + length);
+  }
+
+  // Indefinite-length strings are a series of definite chunks ending in a break
+  chunks(major) {
+    const parts = [];
+    for (;;) {
+      const initial = this.view.getUint8(this.take(1));
+      if (initial === 0xff) break;
+      if (initial >> 5 !== major) throw new Error('Invalid CBOR string chunk');
+      parts.push(this.bytesOf(this.argument(initial & 0x1f)));
+    }
+    return Buffer.concat(parts);
+  }
+
+  half(bits) {
+    const exponent = (bits >> 10) & 0x1f;
+    const mantissa = bits & 0x3ff;
+    const sign = bits & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * 2 ** -14 * (mantissa / 1024);
+    if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+    return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+  }
+
+  tag(tag, value) {
+    if (tag === 0 && typeof value === 'string') return value;
+    if (tag === 1 && typeof value === 'number') return new Date(value * 1000).toISOString();
+    if ((tag === 2 || tag === 3) && typeof value === 'string') {
+      const magnitude = BigInt(`0x${Buffer.from(value, 'base64').toString('hex') || '0'}`);
+      return (tag === 2 ? magnitude : -1n - magnitude).toString();
+    }
+    return { $tag: tag, value };
+  }
+
+  value() {
+    const initial = this.view.getUint8(this.take(1));
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (initial === 0xff) return BREAK;
+
+    switch (major) {
+      case 0:
+        return this.argument(info);
+      case 1: {
+        const n = this.argument(info);
+        return typeof n === 'number' ? -1 - n : (-1n - BigInt(n)).toString();
+      }
+      case 2: {
+        const length = this.argument(info);
+        return Buffer.from(length === null ? this.chunks(2) : this.bytesOf(length)).toString('base64');
+      }
+      case 3: {
+        const length = this.argument(info);
+        return Buffer.from(length === null ? this.chunks(3) : this.bytesOf(length)).toString('utf-8');
+      }
+      case 4: {
+        const length = this.argument(info);
+        const items = [];
+        for (let i = 0; length === null || i < length; i++) {
+          const item = this.value();
+          if (item === BREAK) break;
+          items.push(item);
+        }
+        return items;
+      }
+      case 5: {
+        const length = this.argument(info);
+        const object = {};
+        for (let i = 0; length === null || i < length; i++) {
+          const key = this.value();
+          if (key === BREAK) break;
+          object[typeof key === 'string' ? key : JSON.stringify(key)] = this.value();
+        }
+        return object;
+      }
+      case 6: {
+        const tag = this.argument(info);
+        return this.tag(tag, this.value());
+      }
+      default:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22 || info === 23) return null;
+        if (info === 25) return this.half(this.view.getUint16(this.take(2)));
+        if (info === 26) return this.view.getFloat32(this.take(4));
+        if (info === 27) return this.view.getFloat64(this.take(8));
+        if (info < 24) return { $simple: info };
+        if (info === 24) return { $simple: this.view.getUint8(this.take(1)) };
+        throw new Error(`Invalid CBOR simple value ${info}`);
+    }
+  }
+}
+
+/**
+ * Decode a CBOR buffer. A sequence of top-level items (RFC 8742) decodes to an array.
+ */
+export function decodeCBOR(bytes) {
+  const reader = new Reader(bytes);
+  const values = [];
+  while (reader.offset < bytes.length) {
+    const value = reader.value();
+    if (value === BREAK) throw new Error('Unexpected CBOR break');
+    values.push(value);
+  }
+  if (values.length === 0) throw new Error('Empty CBOR data');
+  return values.length === 1 ? values[0] : values;
+}
@@ -0,0 +1,145 @@
+/**
+ * Form Bodies
+ * Parses urlencoded forms and multipart uploads into plain field objects so
+ * they document like JSON payloads. File parts are reduced to their metadata -
+ * uploaded content is never kept.
+ */
+
+const MAX_TEXT_PART = 10 * 1024;
+
+// Repeated names (tags=a&tags=b) become arrays
+function addField(fields, name, value) {
+  if (!(name in fields)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * application/x-www-form-urlencoded -> { name: value | [values] }
+ */
+export function parseFormUrlEncoded(text) {
+  const fields = {};
+  for (const [name, value] of new URLSearchParams(text)) {
+    addField(fields, name, value);
+  }
+  return fields;
+}
+
+function headerParam(header, param) {
+  const match = header.match(new RegExp(`(?:^|;)\\s*${param}\\*?=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i'));
+  if (!match) return undefined;
+  const value = match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+  // RFC 5987 filename*=UTF-8''n%C3%A4me
+  const extended = value.match(/^[\w-]+'[^']*'(.*)$/);
+  return extended ? decodeURIComponent(extended[1]) : value;
+}
+
+function isTextPart(contentType) {
+  return !contentType || /^text\/|json|xml|x-www-form-urlencoded/i.test(contentType);
+}
+
+/**
+ * multipart/form-data -> { name: value | { filename, contentType, size } }.
+ * Text fields keep their value (JSON parts are parsed); files and binary
+ * parts only keep what they were.
+ */
+export function parseMultipart(bytes, contentType) {
+  const boundary = headerParam(String(contentType || ''), 'boundary');
+  if (!boundary) throw new Error('multipart body without a boundary');
+
+  const body = Buffer.from(bytes);
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+
+  let start = body.indexOf(delimiter);
+  if (start === -1) throw new Error('multipart boundary not found in body');
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // "--boundary--" closes the body
+    if (body.subarray(partStart, partStart + 2).toString() === '--') break;
+
+    const next = body.indexOf(delimiter, partStart);
+    const part = body.subarray(partStart, next === -1 ? body.length : next);
+    start = next;
+
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+
+    const headers = {};
+    part.subarray(0, headerEnd).toString('utf-8').split('\r\n').forEach(line => {
+      const index = line.indexOf(':');
+      if (index > 0) headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+    });
+
+    // Content sits between the blank line and the CRLF before the next delimiter
+    let content = part.subarray(headerEnd + 4);
+    if (content.subarray(content.length - 2).toString() === '\r\n') {
+      content = content.subarray(0, content.length - 2);
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    const name = headerParam(disposition, 'name') ?? `part${Object.keys(fields).length + 1}`;
+    const filename = headerParam(disposition, 'filename');
+    const partType = headers['content-type'];
+
+    if (filename !== undefined || !isTextPart(partType)) {
+      addField(fields, name, {
+        filename: filename ?? null,
+        contentType: partType || 'application/octet-stream',
+        size: content.length
+      });
+      continue;
+    }
+
+    let value = content.subarray(0, MAX_TEXT_PART).toString('utf-8');
+    if (partType && /json/i.test(partType)) {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        // Keep the text
+      }
+    }
+    addField(fields, name, value);
+  }
+
+  return fields;
+}
+
+// Anti-JSON-hijacking prefixes some APIs put in front of JSON
+const XSSI_PREFIX = /^\s*(?:\)\]\}'\s*,?|while\s*\(1\);|for\s*\(;;\);)\s*/;
+
+/**
+ * text/plain bodies that are really JSON, JSON lines or a urlencoded form
+ * (sendBeacon and no-preflight fetches often send these). Returns undefined
+ * for genuinely plain text.
+ */
+export function parseTextBody(text) {
+  const trimmed = text.replace(XSSI_PREFIX, '').trim();
+  if (!trimmed) return undefined;
+
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    // Not a single JSON document
+  }
+
+  const lines = trimmed.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length > 1) {
+    try {
+      return lines.map(line => JSON.parse(line));
+    } catch {
+      // Not JSON lines
+    }
+  }
+
+  if (/^[^\s=&]+=[^\s&]*(?:&[^\s=&]+=[^\s&]*)*$/.test(trimmed)) {
+    return parseFormUrlEncoded(trimmed);
+  }
+
+  return undefined;
+}
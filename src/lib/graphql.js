@@ -0,0 +1,486 @@
+/**
+ * GraphQL Awareness
+ * Splits GraphQL traffic (single, batched, GET and persisted queries) into one
+ * logical operation per operationName, and rebuilds an SDL fragment from the
+ * selections that were sent and the response data that came back
+ */
+
+const ROOT_TYPES = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+const MAX_LIST_ITEMS = 20;
+
+// ---------------------------------------------------------------------------
+// Document parsing (lenient: enough of the spec to walk selections)
+// ---------------------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s+|,|#[^\n]*|("""[\s\S]*?"""|"(?:[^"\\]|\\.)*")|(\.\.\.)|([!$():=@[\]{|}])|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const [, string, spread, punct, number, name] = match;
+    if (string !== undefined) tokens.push({ kind: 'string', value: string });
+    else if (spread) tokens.push({ kind: 'punct', value: '...' });
+    else if (punct) tokens.push({ kind: 'punct', value: punct });
+    else if (number !== undefined) tokens.push({ kind: 'number', value: number });
+    else if (name) tokens.push({ kind: 'name', value: name });
+  }
+  return tokens;
+}
+
+class DocumentParser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.pos = 0;
+  }
+
+  peek(value) {
+    const token = this.tokens[this.pos];
+    return token && (value === undefined || token.value === value) ? token : null;
+  }
+
+  next() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw new Error('Unexpected end of GraphQL document');
+    return token;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.value !== value) throw new Error(`Expected "${value}" but found "${token.value}"`);
+    return token;
+  }
+
+  parseDocument() {
+    const document = { operations: [], fragments: {} };
+    while (this.peek()) {
+      if (this.peek('{')) {
+        document.operations.push({ type: 'query', name: null, variables: {}, selections: this.parseSelectionSet() });
+      } else if (this.peek('fragment')) {
+        this.next();
+        const name = this.next().value;
+        this.expect('on');
+        const typeCondition = this.next().value;
+        this.skipDirectives();
+        document.fragments[name] = { typeCondition, selections: this.parseSelectionSet() };
+      } else {
+        const type = this.next().value;
+        const name = this.peek() && this.peek().kind === 'name' ? this.next().value : null;
+        const variables = this.peek('(') ? this.parseVariableDefinitions() : {};
+        this.skipDirectives();
+        document.operations.push({ type, name, variables, selections: this.parseSelectionSet() });
+      }
+    }
+    return document;
+  }
+
+  parseVariableDefinitions() {
+    const variables = {};
+    this.expect('(');
+    while (!this.peek(')')) {
+      this.expect('$');
+      const name = this.next().value;
+      this.expect(':');
+      variables[name] = this.parseTypeReference();
+      if (this.peek('=')) {
+        this.next();
+        this.parseValue();
+      }
+      this.skipDirectives();
+    }
+    this.expect(')');
+    return variables;
+  }
+
+  parseTypeReference() {
+    let type;
+    if (this.peek('[')) {
+      this.next();
+      type = `[${this.parseTypeReference()}]`;
+      this.expect(']');
+    } else {
+      type = this.next().value;
+    }
+    if (this.peek('!')) {
+      this.next();
+      type += '!';
+    }
+    return type;
+  }
+
+  parseSelectionSet() {
+    const selections = [];
+    this.expect('{');
+    while (!this.peek('}')) {
+      selections.push(this.parseSelection());
+    }
+    this.expect('}');
+    return selections;
+  }
+
+  parseSelection() {
+    if (this.peek('...')) {
+      this.next();
+      if (this.peek('on')) {
+        this.next();
+        const typeCondition = this.next().value;
+        this.skipDirectives();
+        return { kind: 'inline', typeCondition, selections: this.parseSelectionSet() };
+      }
+      if (this.peek('@') || this.peek('{')) {
+        this.skipDirectives();
+        return { kind: 'inline', typeCondition: null, selections: this.parseSelectionSet() };
+      }
+      const name = this.next().value;
+      this.skipDirectives();
+      return { kind: 'spread', name };
+    }
+
+    let name = this.next().value;
+    let alias = null;
+    if (this.peek(':')) {
+      this.next();
+      alias = name;
+      name = this.next().value;
+    }
+    const args = this.peek('(') ? this.parseArguments() : {};
+    this.skipDirectives();
+    const selections = this.peek('{') ? this.parseSelectionSet() : null;
+    return { kind: 'field', name, alias, args, selections };
+  }
+
+  parseArguments() {
+    const args = {};
+    this.expect('(');
+    while (!this.peek(')')) {
+      const name = this.next().value;
+      this.expect(':');
+      args[name] = this.parseValue();
+    }
+    this.expect(')');
+    return args;
+  }
+
+  parseValue() {
+    const token = this.next();
+    if (token.value === '$') return { variable: this.next().value };
+    if (token.value === '[') {
+      const items = [];
+      while (!this.peek(']')) items.push(this.parseValue());
+      this.next();
+      return { list: items };
+    }
+    if (token.value === '{') {
+      while (!this.peek('}')) {
+        this.next();
+        this.expect(':');
+        this.parseValue();
+      }
+      this.next();
+      return { object: true };
+    }
+    if (token.kind === 'number') return { literal: token.value.includes('.') || /e/i.test(token.value) ? 'Float' : 'Int' };
+    if (token.kind === 'string') return { literal: 'String' };
+    if (token.value === 'true' || token.value === 'false') return { literal: 'Boolean' };
+    return { literal: null }; // null or an enum value
+  }
+
+  skipDirectives() {
+    while (this.peek('@')) {
+      this.next();
+      this.next();
+      if (this.peek('(')) this.parseArguments();
+    }
+  }
+}
+
+export function parseGraphQLDocument(source) {
+  return new DocumentParser(source).parseDocument();
+}
+
+// ---------------------------------------------------------------------------
+// Request detection
+// ---------------------------------------------------------------------------
+
+function isGraphQLPayload(body) {
+  return Boolean(body) && typeof body === 'object' && !Array.isArray(body) &&
+    (typeof body.query === 'string' || Boolean(body.extensions?.persistedQuery));
+}
+
+function parseJSONParam(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+function describeOperation(payload, batchIndex) {
+  const persistedQuery = payload.extensions?.persistedQuery?.sha256Hash || null;
+  let document = null;
+  let operation = null;
+
+  if (typeof payload.query === 'string') {
+    try {
+      document = parseGraphQLDocument(payload.query);
+      operation = document.operations.find(op => op.name === payload.operationName) || document.operations[0] || null;
+    } catch {
+      // Keep whatever the regex can tell us below
+    }
+  }
+
+  const headerMatch = typeof payload.query === 'string'
+    ? payload.query.match(/^\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/)
+    : null;
+
+  const operationType = operation?.type || (headerMatch ? headerMatch[1] : (payload.query ? 'query' : null));
+  const operationName = payload.operationName || operation?.name || headerMatch?.[2] ||
+    (persistedQuery ? `persisted_${persistedQuery.substring(0, 8)}` : 'anonymous');
+
+  return {
+    kind: 'graphql',
+    operationName,
+    operationType,
+    query: typeof payload.query === 'string' ? payload.query : null,
+    variables: payload.variables || {},
+    persistedQuery,
+    batchIndex,
+    payload,
+    document,
+    operation
+  };
+}
+
+/**
+ * Recognize a GraphQL request and describe each operation in it.
+ * Returns null for anything that isn't GraphQL.
+ */
+export function parseGraphQLRequest(request, urlObj) {
+  const onGraphQLPath = /graphql/i.test(urlObj.pathname);
+
+  if (request.method === 'GET') {
+    const params = urlObj.searchParams;
+    if (!params.has('query') && !params.has('extensions')) return null;
+    if (!onGraphQLPath && !params.has('operationName')) return null;
+
+    const payload = {
+      query: params.get('query') || undefined,
+      operationName: params.get('operationName') || undefined,
+      variables: parseJSONParam(params.get('variables')),
+      extensions: parseJSONParam(params.get('extensions'))
+    };
+    if (!isGraphQLPayload(payload)) return null;
+
+    // Mutations aren't sent over GET, so a bare persisted-query hash is a query
+    const operation = describeOperation(payload, null);
+    operation.operationType = operation.operationType || 'query';
+    return [operation];
+  }
+
+  if (!request.postData) return null;
+
+  const body = parseJSONParam(request.postData);
+  if (Array.isArray(body) && body.length > 0 && body.every(isGraphQLPayload)) {
+    return body.map((payload, index) => describeOperation(payload, index));
+  }
+  if (isGraphQLPayload(body)) {
+    return [describeOperation(body, null)];
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Observed schema
+// ---------------------------------------------------------------------------
+
+function typeName(fieldName) {
+  const base = fieldName.replace(/(ies)$/, 'y').replace(/([^s])s$/, '$1');
+  return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+function scalarFor(fieldName, value) {
+  if (typeof value === 'boolean') return 'Boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'Int' : 'Float';
+  if (typeof value === 'string') return fieldName === 'id' ? 'ID' : 'String';
+  if (value && typeof value === 'object') return 'JSON';
+  return null;
+}
+
+function firstPresent(values) {
+  return values.find(value => value !== null && value !== undefined);
+}
+
+export class GraphQLSchemaBuilder {
+  constructor() {
+    this.types = new Map(); // name -> { fields: Map(name -> { type, args }), possibleTypes: Set }
+  }
+
+  get size() {
+    return this.types.size;
+  }
+
+  ensureType(name) {
+    if (!this.types.has(name)) {
+      this.types.set(name, { fields: new Map(), possibleTypes: new Set() });
+    }
+    return this.types.get(name);
+  }
+
+  ensureField(typeName, fieldName) {
+    const type = this.ensureType(typeName);
+    if (!type.fields.has(fieldName)) {
+      type.fields.set(fieldName, { type: null, args: new Map() });
+    }
+    return type.fields.get(fieldName);
+  }
+
+  /**
+   * Fold one operation and its response (`{ data, errors }`) into the schema.
+   * Persisted queries without a document are walked from the data alone.
+   */
+  addResult(operation, result) {
+    if (!operation.operationType && !operation.operation) return;
+
+    const rootName = ROOT_TYPES[operation.operation?.type || operation.operationType] || 'Query';
+    const data = result && typeof result === 'object' ? result.data : undefined;
+
+    if (operation.operation) {
+      const context = {
+        fragments: operation.document.fragments,
+        variables: operation.operation.variables
+      };
+      this.walkSelections(rootName, operation.operation.selections, data ? [data] : [], context);
+    } else if (data && typeof data === 'object') {
+      this.walkData(rootName, [data]);
+    }
+  }
+
+  walkSelections(parentType, selections, values, context) {
+    this.ensureType(parentType);
+    const objects = values.filter(value => value && typeof value === 'object' && !Array.isArray(value));
+
+    selections.forEach(selection => {
+      if (selection.kind === 'spread') {
+        const fragment = context.fragments[selection.name];
+        if (fragment) this.walkFragment(parentType, fragment.typeCondition, fragment.selections, objects, context);
+        return;
+      }
+      if (selection.kind === 'inline') {
+        this.walkFragment(parentType, selection.typeCondition || parentType, selection.selections, objects, context);
+        return;
+      }
+      if (selection.name === '__typename') return;
+
+      const field = this.ensureField(parentType, selection.name);
+      Object.entries(selection.args).forEach(([argName, value]) => {
+        const argType = value.variable ? context.variables[value.variable] : value.literal;
+        if (argType && !field.args.get(argName)) field.args.set(argName, argType);
+        else if (!field.args.has(argName)) field.args.set(argName, null);
+      });
+
+      const responseKey = selection.alias || selection.name;
+      const fieldValues = objects.map(object => object[responseKey]);
+      const present = firstPresent(fieldValues);
+      const isList = Array.isArray(present);
+      const items = fieldValues.flatMap(value => (Array.isArray(value) ? value.slice(0, MAX_LIST_ITEMS) : [value]));
+
+      let type;
+      if (selection.selections) {
+        // Several concrete types behind one field means a union or interface
+        const typenames = new Set(items.map(item => item?.__typename).filter(Boolean));
+        type = typenames.size === 1 ? Array.from(typenames)[0] : typeName(selection.name);
+        this.walkSelections(type, selection.selections, items, context);
+      } else {
+        type = scalarFor(selection.name, firstPresent(items));
+      }
+
+      if (type && !field.type) {
+        field.type = isList ? `[${type}]` : type;
+      }
+    });
+  }
+
+  walkFragment(parentType, typeCondition, selections, objects, context) {
+    if (typeCondition === parentType) {
+      this.walkSelections(parentType, selections, objects, context);
+      return;
+    }
+    // Abstract parent: only objects of the fragment's type carry its fields
+    this.ensureType(parentType).possibleTypes.add(typeCondition);
+    const matching = objects.filter(object => !object.__typename || object.__typename === typeCondition);
+    this.walkSelections(typeCondition, selections, matching, context);
+  }
+
+  walkData(parentType, objects) {
+    this.ensureType(parentType);
+    const keys = new Set(objects.flatMap(object => Object.keys(object)));
+
+    keys.forEach(key => {
+      if (key === '__typename') return;
+      const field = this.ensureField(parentType, key);
+      const fieldValues = objects.map(object => object[key]);
+      const present = firstPresent(fieldValues);
+      const items = fieldValues.flatMap(value => (Array.isArray(value) ? value.slice(0, MAX_LIST_ITEMS) : [value]));
+      const objectItems = items.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+
+      let type;
+      if (objectItems.length > 0) {
+        const typenames = new Set(objectItems.map(item => item.__typename).filter(Boolean));
+        type = typenames.size === 1 ? Array.from(typenames)[0] : typeName(key);
+        this.walkData(type, objectItems);
+      } else {
+        type = scalarFor(key, firstPresent(items));
+      }
+
+      if (type && !field.type) {
+        field.type = Array.isArray(present) ? `[${type}]` : type;
+      }
+    });
+  }
+
+  /**
+   * Render the observed types as SDL. Fields whose type never showed up in a
+   * response are typed as the JSON scalar.
+   */
+  toSDL() {
+    const roots = Object.values(ROOT_TYPES);
+    const names = Array.from(this.types.keys()).sort((a, b) => {
+      const rankA = roots.includes(a) ? roots.indexOf(a) : roots.length;
+      const rankB = roots.includes(b) ? roots.indexOf(b) : roots.length;
+      return rankA - rankB || a.localeCompare(b);
+    });
+
+    // Abstract types with fields of their own are interfaces, otherwise unions
+    const interfaces = new Map();
+    this.types.forEach(({ fields, possibleTypes }, name) => {
+      if (fields.size === 0) return;
+      possibleTypes.forEach(member => {
+        if (!interfaces.has(member)) interfaces.set(member, []);
+        interfaces.get(member).push(name);
+      });
+    });
+
+    let usesJSON = false;
+    const blocks = names.map(name => {
+      const { fields, possibleTypes } = this.types.get(name);
+
+      if (fields.size === 0 && possibleTypes.size > 0) {
+        return `union ${name} = ${Array.from(possibleTypes).join(' | ')}`;
+      }
+
+      const lines = Array.from(fields.entries()).map(([fieldName, field]) => {
+        const args = Array.from(field.args.entries())
+          .map(([argName, argType]) => `${argName}: ${argType || 'JSON'}`);
+        if (!field.type || field.type.includes('JSON') || args.some(arg => arg.endsWith('JSON'))) usesJSON = true;
+        return `  ${fieldName}${args.length > 0 ? `(${args.join(', ')})` : ''}: ${field.type || 'JSON'}`;
+      });
+
+      const keyword = possibleTypes.size > 0 ? 'interface' : 'type';
+      const implementsClause = interfaces.has(name) ? ` implements ${interfaces.get(name).join(' & ')}` : '';
+      return `${keyword} ${name}${implementsClause} {\n${lines.join('\n')}\n}`;
+    });
+
+    if (usesJSON) blocks.unshift('scalar JSON');
+    return blocks.join('\n\n');
+  }
+}
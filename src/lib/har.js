@@ -0,0 +1,375 @@
+/**
+ * HAR 1.2 Export / Import
+ * Records CDP Network.* events into a HAR log, and replays HAR files
+ * through a recon instance's capture methods to rebuild the endpoint model offline
+ */
+
+const CAPTURED_TYPES = ['Fetch', 'XHR', 'EventSource'];
+
+function headersToArray(headers) {
+  const result = [];
+  for (const [name, value] of Object.entries(headers || {})) {
+    // CDP joins repeated headers (Set-Cookie) with newlines
+    String(value).split('\n').forEach(line => result.push({ name, value: line }));
+  }
+  return result;
+}
+
+function headersToObject(headers) {
+  const result = {};
+  (headers || []).forEach(({ name, value }) => {
+    if (result[name] === undefined) {
+      result[name] = value;
+    } else {
+      result[name] += name.toLowerCase() === 'set-cookie' ? `\n${value}` : `, ${value}`;
+    }
+  });
+  return result;
+}
+
+function getHeader(headers, name) {
+  const match = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+function parseCookieHeader(value) {
+  if (!value) return [];
+  return value.split(';').map(c => c.trim()).filter(Boolean).map(cookie => {
+    const index = cookie.indexOf('=');
+    return index === -1
+      ? { name: cookie, value: '' }
+      : { name: cookie.slice(0, index), value: cookie.slice(index + 1) };
+  });
+}
+
+function parseSetCookie(value) {
+  if (!value) return [];
+  return value.split('\n').filter(Boolean).map(line => {
+    const [pair, ...attributes] = line.split(';').map(part => part.trim());
+    const index = pair.indexOf('=');
+    const cookie = {
+      name: index === -1 ? pair : pair.slice(0, index),
+      value: index === -1 ? '' : pair.slice(index + 1)
+    };
+
+    attributes.forEach(attribute => {
+      const [key, ...rest] = attribute.split('=');
+      const attrValue = rest.join('=');
+      switch (key.toLowerCase()) {
+        case 'path': cookie.path = attrValue; break;
+        case 'domain': cookie.domain = attrValue; break;
+        case 'expires': {
+          const expires = new Date(attrValue);
+          if (!isNaN(expires)) cookie.expires = expires.toISOString();
+          break;
+        }
+        case 'httponly': cookie.httpOnly = true; break;
+        case 'secure': cookie.secure = true; break;
+      }
+    });
+
+    return cookie;
+  });
+}
+
+function toHarCookie(cookie) {
+  const result = { name: cookie.name, value: cookie.value };
+  if (cookie.path) result.path = cookie.path;
+  if (cookie.domain) result.domain = cookie.domain;
+  if (cookie.expires && cookie.expires > 0) result.expires = new Date(cookie.expires * 1000).toISOString();
+  if (cookie.httpOnly) result.httpOnly = true;
+  if (cookie.secure) result.secure = true;
+  return result;
+}
+
+function queryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams).map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+// Convert CDP ResourceTiming (ms offsets from requestTime) into HAR timings
+function buildTimings(timing, finishedAt) {
+  if (!timing) {
+    return { time: 0, timings: { blocked: -1, dns: -1, connect: -1, send: 0, wait: 0, receive: 0, ssl: -1 } };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(t => t >= 0);
+
+  const timings = {
+    blocked: firstStart !== undefined ? firstStart : -1,
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    send: Math.max(0, span(timing.sendStart, timing.sendEnd)),
+    wait: Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd)),
+    receive: finishedAt
+      ? Math.max(0, Math.round(((finishedAt - timing.requestTime) * 1000 - timing.receiveHeadersEnd) * 1000) / 1000)
+      : 0,
+    ssl: span(timing.sslStart, timing.sslEnd)
+  };
+
+  // ssl is already included in connect, so it doesn't count towards the total
+  const time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+    .reduce((total, key) => total + Math.max(0, timings[key]), 0);
+
+  return { time: Math.round(time * 1000) / 1000, timings };
+}
+
+export class HarRecorder {
+  constructor(options = {}) {
+    this.types = options.types || CAPTURED_TYPES;
+    this.entries = new Map();
+    // Optional content-addressed store (the capture journal) so bodies stay on disk
+    this.bodyStore = options.bodyStore || null;
+  }
+
+  onRequest(params) {
+    const { requestId, request, type, wallTime, timestamp } = params;
+    if (!this.types.includes(type) || !request.url.startsWith('http')) return;
+
+    // Redirects reuse the requestId: close out the previous hop under its own key
+    if (params.redirectResponse && this.entries.has(requestId)) {
+      const previous = this.entries.get(requestId);
+      this.onResponse({ requestId, response: params.redirectResponse });
+      previous.finishedAt = timestamp;
+      this.entries.delete(requestId);
+      this.entries.set(`${requestId}:${previous.startedDateTime}`, previous);
+    }
+
+    this.entries.set(requestId, {
+      startedDateTime: new Date((wallTime || Date.now() / 1000) * 1000).toISOString(),
+      request: {
+        method: request.method,
+        url: request.url,
+        headers: { ...request.headers },
+        postData: request.postData
+      },
+      cookies: [],
+      resourceType: type
+    });
+  }
+
+  onRequestExtraInfo(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    Object.assign(entry.request.headers, params.headers || {});
+    entry.cookies = (params.associatedCookies || [])
+      .filter(c => !c.blockedReasons || c.blockedReasons.length === 0)
+      .map(c => toHarCookie(c.cookie));
+  }
+
+  onResponse(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    const { response } = params;
+    entry.response = {
+      status: response.status,
+      statusText: response.statusText,
+      httpVersion: response.protocol ? response.protocol.toUpperCase() : 'HTTP/1.1',
+      headers: { ...response.headers },
+      mimeType: response.mimeType,
+      timing: response.timing,
+      remoteIPAddress: response.remoteIPAddress,
+      fromCache: response.fromDiskCache || response.fromServiceWorker || false
+    };
+  }
+
+  onResponseExtraInfo(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry || !entry.response) return;
+
+    // Extra info carries the raw headers, including Set-Cookie
+    entry.response.headers = { ...entry.response.headers, ...(params.headers || {}) };
+    if (params.statusCode) entry.response.status = params.statusCode;
+  }
+
+  onLoadingFinished(params) {
+    const entry = this.entries.get(params.requestId);
+    if (!entry) return;
+
+    entry.finishedAt = params.timestamp;
+    entry.encodedDataLength = params.encodedDataLength;
+  }
+
+  recordBody(requestId, body, bodyHash) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+
+    entry.body = this.bodyStore && bodyHash
+      ? { bodyHash, base64Encoded: body.base64Encoded }
+      : body;
+  }
+
+  resolveBody(body) {
+    if (!body) return null;
+    if (body.bodyHash && body.body === undefined) {
+      return { body: this.bodyStore.getBody(body.bodyHash), base64Encoded: body.base64Encoded };
+    }
+    return body;
+  }
+
+  toHAR(creator = {}) {
+    const entries = Array.from(this.entries.values())
+      .filter(entry => entry.response)
+      .map(entry => {
+        const { request, response } = entry;
+        const body = this.resolveBody(entry.body);
+        const requestContentType = getHeader(request.headers, 'content-type');
+        const { time, timings } = buildTimings(response.timing, entry.finishedAt);
+
+        const harEntry = {
+          startedDateTime: entry.startedDateTime,
+          time,
+          request: {
+            method: request.method,
+            url: request.url,
+            httpVersion: response.httpVersion,
+            cookies: entry.cookies.length > 0
+              ? entry.cookies
+              : parseCookieHeader(getHeader(request.headers, 'cookie')),
+            headers: headersToArray(request.headers),
+            queryString: queryString(request.url),
+            headersSize: -1,
+            bodySize: request.postData ? Buffer.byteLength(request.postData) : 0
+          },
+          response: {
+            status: response.status,
+            statusText: response.statusText || '',
+            httpVersion: response.httpVersion,
+            cookies: parseSetCookie(getHeader(response.headers, 'set-cookie')),
+            headers: headersToArray(response.headers),
+            content: {
+              size: body ? Buffer.byteLength(body.body, body.base64Encoded ? 'base64' : 'utf8') : 0,
+              mimeType: response.mimeType || 'x-unknown'
+            },
+            redirectURL: getHeader(response.headers, 'location') || '',
+            headersSize: -1,
+            bodySize: entry.encodedDataLength !== undefined ? entry.encodedDataLength : -1
+          },
+          cache: {},
+          timings,
+          _resourceType: entry.resourceType.toLowerCase()
+        };
+
+        if (request.postData) {
+          harEntry.request.postData = {
+            mimeType: requestContentType || 'application/octet-stream',
+            text: request.postData
+          };
+        }
+
+        if (body) {
+          harEntry.response.content.text = body.body;
+          if (body.base64Encoded) {
+            harEntry.response.content.encoding = 'base64';
+          }
+        }
+
+        if (response.remoteIPAddress) {
+          harEntry.serverIPAddress = response.remoteIPAddress;
+        }
+
+        return harEntry;
+      });
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: creator.name || 'mcp-endpoint-recon', version: creator.version || '1.0.0' },
+        pages: [],
+        entries
+      }
+    };
+  }
+}
+
+function resourceTypeFor(entry) {
+  const type = entry._resourceType;
+  if (!type) return 'XHR';
+  if (type.toLowerCase() === 'xhr') return 'XHR';
+  if (type.toLowerCase() === 'eventsource') return 'EventSource';
+  return type[0].toUpperCase() + type.slice(1);
+}
+
+/**
+ * Replay HAR entries as CDP Network.* events through a recon instance, so the
+ * usual captureRequest/captureResponse/captureResponseBody logic builds the
+ * endpoint model without a browser.
+ */
+export async function replayHAR(recon, har) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a HAR file: missing log.entries');
+  }
+
+  // Serve response bodies from the HAR instead of Network.getResponseBody
+  const bodies = new Map();
+  recon.cdpClient = {
+    send: async (method, params) => {
+      if (method === 'Network.getResponseBody' && bodies.has(params.requestId)) {
+        return bodies.get(params.requestId);
+      }
+      throw new Error(`${method} is not available for HAR imports`);
+    }
+  };
+
+  for (const [index, entry] of entries.entries()) {
+    const requestId = `har-${index}`;
+    const type = resourceTypeFor(entry);
+    const requestHeaders = headersToObject(entry.request.headers);
+    const responseHeaders = headersToObject(entry.response?.headers);
+
+    recon.captureRequest({
+      requestId,
+      type,
+      wallTime: new Date(entry.startedDateTime).getTime() / 1000,
+      request: {
+        method: entry.request.method,
+        url: entry.request.url,
+        headers: requestHeaders,
+        postData: entry.request.postData?.text,
+        hasUserGesture: false
+      },
+      initiator: { type: entry._initiator?.type || 'har' }
+    });
+
+    recon.captureRequestHeaders({
+      requestId,
+      headers: requestHeaders,
+      associatedCookies: (entry.request.cookies || []).map(cookie => ({ cookie, blockedReasons: [] }))
+    });
+
+    if (!entry.response || entry.response.status === 0) {
+      recon.releaseRequest(requestId);
+      continue;
+    }
+
+    recon.captureResponse({
+      requestId,
+      type,
+      response: {
+        status: entry.response.status,
+        statusText: entry.response.statusText,
+        headers: responseHeaders,
+        mimeType: entry.response.content?.mimeType,
+        fromCache: false
+      }
+    });
+
+    recon.captureResponseHeaders({ requestId, headers: responseHeaders, statusCode: entry.response.status });
+
+    const content = entry.response.content;
+    if (content?.text !== undefined) {
+      bodies.set(requestId, { body: content.text, base64Encoded: content.encoding === 'base64' });
+    }
+    // Also releases the request from the engine's in-flight index
+    await recon.captureResponseBody({ requestId });
+  }
+
+  return { entries: entries.length, endpoints: recon.endpoints.size };
+}
@@ -0,0 +1,204 @@
+/**
+ * Interaction Guard
+ * Keeps the auto-clickers away from buttons that change account state. Each
+ * candidate element is described in the page (text, aria-label, title, name,
+ * href, form action, surrounding dialog/form) and classified here; anything
+ * destructive, logging out, paying or submitting a form to another site is
+ * skipped, logged and listed in the report.
+ *
+ * Policy:
+ *   { allow: [regexes], deny: [regexes], defaults: true }
+ *
+ * Patterns are case-insensitive and tested against the element's label.
+ * `deny` always wins, `allow` overrides the built-in denylist, and
+ * `defaults: false` turns the built-in denylist off.
+ */
+
+// Built-in denylist, by category
+export const DEFAULT_DENYLIST = {
+  destructive: /\b(?:delete|remove|destroy|erase|wipe|purge|deactivate|terminate|revoke|unsubscribe|unfollow|unlink|disconnect|block|ban|report|reset|discard|close (?:my )?account|leave (?:group|team|workspace|organi[sz]ation|channel)|cancel (?:my )?(?:subscription|membership|plan|order|account|booking)|transfer ownership)\b/i,
+  logout: /\b(?:log ?out|log ?off|sign ?out|sign ?off|end session|switch accounts?)\b/i,
+  payment: /\b(?:buy|purchase|checkout|check out|pay|place order|confirm order|order now|subscribe|upgrade|donate|tip|send money|add (?:payment|card)|start (?:free )?trial)\b/i
+};
+
+const MAX_LABEL = 80;
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+}
+
+// '/api/account/delete-all' -> 'api account delete all', so URL paths read like labels
+function pathWords(url, pageUrl) {
+  try {
+    return new URL(url, pageUrl).pathname.replace(/[/_\-.]+/g, ' ').trim();
+  } catch {
+    return '';
+  }
+}
+
+function hostOf(url, pageUrl) {
+  try {
+    return new URL(url, pageUrl).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Runs in the page (via page.evaluate): visible elements matching each group's
+ * selector, described for the guard. Each element is tagged with its `id` in a
+ * data-recon-candidate attribute so clickCandidates() finds that same node
+ * again; `x`/`y` is its centre.
+ */
+export function describeCandidates(groups) {
+  const clean = value => String(value || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+  const resolve = url => {
+    try {
+      return new URL(url, document.baseURI).href;
+    } catch {
+      return undefined;
+    }
+  };
+  const candidates = [];
+  // Tags from an earlier pass point at elements the guard may not have seen since
+  document.querySelectorAll('[data-recon-candidate]').forEach(el => el.removeAttribute('data-recon-candidate'));
+
+  groups.forEach(({ type, selector, exclude }) => {
+    document.querySelectorAll(selector).forEach(el => {
+      if (exclude && el.matches(exclude)) return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) return;
+
+      const form = el.form || el.closest('form');
+      const submits = Boolean(form) && el.matches('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+      const dialog = el.closest('dialog, [role="dialog"], [role="alertdialog"], .modal');
+      const heading = dialog && dialog.querySelector('h1, h2, h3, h4, [class*="title"]');
+      // In-page '#' anchors say nothing about where a click goes
+      const href = el.getAttribute('href');
+      const context = [
+        dialog && (dialog.getAttribute('aria-label') || (heading && heading.textContent)),
+        form && (form.getAttribute('aria-label') || form.getAttribute('name') || form.id)
+      ].filter(Boolean);
+
+      // An element matched by several groups keeps its first id
+      if (!el.hasAttribute('data-recon-candidate')) el.setAttribute('data-recon-candidate', String(candidates.length));
+
+      candidates.push({
+        id: el.getAttribute('data-recon-candidate'),
+        type,
+        selector,
+        text: clean(el.innerText || el.textContent || el.value),
+        ariaLabel: clean(el.getAttribute('aria-label')),
+        title: clean(el.getAttribute('title')),
+        name: clean(el.getAttribute('name') || el.id),
+        href: href && !href.startsWith('#') ? resolve(href) : undefined,
+        formAction: submits ? resolve(el.getAttribute('formaction') || form.getAttribute('action') || '') : undefined,
+        context: clean(context.join(' | ')),
+        x: rect.x + rect.width / 2,
+        y: rect.y + rect.height / 2
+      });
+    });
+  });
+
+  return candidates;
+}
+
+/**
+ * Runs in the page: click candidates found by describeCandidates(). Only the
+ * tagged node is clicked, and only while it still reads the way the guard saw
+ * it, so a re-render in between can't put an unchecked element in its place.
+ * Returns how many were clicked.
+ */
+export function clickCandidates(targets) {
+  const clean = value => String(value || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+  const unchanged = (el, target) => clean(el.innerText || el.textContent || el.value) === target.text &&
+    clean(el.getAttribute('aria-label')) === target.ariaLabel &&
+    clean(el.getAttribute('title')) === target.title &&
+    clean(el.getAttribute('name') || el.id) === target.name;
+
+  // Look everything up before the first click changes the DOM
+  const elements = targets
+    .map(target => ({ target, el: document.querySelector(`[data-recon-candidate="${target.id}"]`) }))
+    .filter(({ target, el }) => el && unchanged(el, target))
+    .map(({ el }) => el);
+  let clicked = 0;
+  elements.forEach(el => {
+    try {
+      el.click();
+      clicked++;
+    } catch {}
+  });
+  return clicked;
+}
+
+export class InteractionGuard {
+  constructor(policy = {}) {
+    this.allow = (policy.allow || []).map(toRegExp);
+    this.deny = (policy.deny || []).map(toRegExp);
+    this.defaults = policy.defaults !== false;
+    this.denylist = this.defaults ? DEFAULT_DENYLIST : {};
+
+    this.skipped = new Map(); // type + label + reason -> { type, label, reason, page, count }
+  }
+
+  static label(candidate) {
+    return (candidate.text || candidate.ariaLabel || candidate.title || candidate.name || candidate.type).substring(0, MAX_LABEL);
+  }
+
+  // Why an element must not be clicked, or null when it's safe
+  reason(candidate, pageUrl) {
+    const labels = [candidate.text, candidate.ariaLabel, candidate.title, candidate.name].filter(Boolean);
+
+    const denied = this.deny.find(regex => labels.some(label => regex.test(label)));
+    if (denied) return `denied by /${denied.source}/`;
+    if (this.allow.some(regex => labels.some(label => regex.test(label)))) return null;
+
+    const targets = [candidate.href, candidate.formAction].filter(Boolean).map(url => pathWords(url, pageUrl));
+    for (const [category, pattern] of Object.entries(this.denylist)) {
+      const match = [...labels, ...targets].map(value => value.match(pattern)).find(Boolean);
+      if (match) return `${category}: "${match[0]}"`;
+      // A bland "Confirm" or "Yes" inside a "Delete account?" dialog
+      const contextMatch = candidate.context?.match(pattern);
+      if (contextMatch) return `${category}: "${contextMatch[0]}" in "${candidate.context}"`;
+    }
+
+    if (!this.defaults || !candidate.formAction) return null;
+    const actionHost = hostOf(candidate.formAction, pageUrl);
+    if (actionHost && actionHost !== hostOf(pageUrl)) return `external submit: form posts to ${actionHost}`;
+
+    return null;
+  }
+
+  /**
+   * The candidates that are safe to click. Skipped ones are logged the first
+   * time they're seen and kept for the report.
+   */
+  filter(candidates, pageUrl) {
+    return candidates.filter(candidate => {
+      const reason = this.reason(candidate, pageUrl);
+      if (!reason) return true;
+
+      const label = InteractionGuard.label(candidate);
+      const key = `${candidate.type}|${label}|${reason}`;
+      if (!this.skipped.has(key)) {
+        console.log(`🛡️ Skipped ${candidate.type} "${label}" (${reason})`);
+        this.skipped.set(key, { type: candidate.type, label, reason, page: pageUrl, count: 0 });
+      }
+      this.skipped.get(key).count++;
+      return false;
+    });
+  }
+
+  // Skipped elements, most often seen first
+  summary() {
+    return Array.from(this.skipped.values()).sort((a, b) => b.count - a.count);
+  }
+}
+
+/**
+ * Read an interaction guard policy from tool CLI arguments: --guard=<json>
+ */
+export function guardFromArgs(argv) {
+  const guardArg = argv.find(arg => arg.startsWith('--guard='));
+  return guardArg ? JSON.parse(guardArg.substring('--guard='.length)) : {};
+}
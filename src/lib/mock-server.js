@@ -0,0 +1,397 @@
+/**
+ * Mock Server
+ * Serves a capture JSON (endpoints-{domain}.json) as a local HTTP API so a
+ * frontend can be developed against it offline. Requests are matched to
+ * endpoints by method and templated path, GraphQL operations and tRPC
+ * procedures by name, and the recorded response whose request looks most like
+ * the incoming one (query, body, variables) is replayed with its status,
+ * headers and body. Requests nothing matches are logged so the capture can be
+ * extended.
+ */
+
+import http from 'http';
+import { appendFile, readFileSync } from 'fs';
+import { templatePath } from './path-templates.js';
+import { parseGraphQLRequest } from './graphql.js';
+import { parseTRPCRequest } from './trpc.js';
+import { Redactor } from './redaction.js';
+
+// Describe the original connection and encoding, not the replayed body
+const DROPPED_HEADERS = /^(?::|content-encoding$|content-length$|transfer-encoding$|connection$|keep-alive$)/i;
+
+// An exact body match outweighs any number of matching fields
+const EXACT_BODY_SCORE = 100;
+
+function endpointEntries(endpoints) {
+  if (!endpoints) return [];
+  return endpoints instanceof Map ? Array.from(endpoints.entries()) : Object.entries(endpoints);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+}
+
+// '/api/users/{userId}' -> /^\/api\/users\/[^/]+$/; '^/api/' stays a regex
+function pathPattern(path) {
+  if (path.startsWith('^')) return new RegExp(path);
+  const source = path.split(/\{[^}]+\}/).map(escapeRegex).join('[^/]+');
+  return new RegExp(`^${source}$`);
+}
+
+function parseJSON(text) {
+  if (typeof text !== 'string' || text === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+// Key order doesn't make two bodies different
+function stableJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// 'user.email', 'items.0.id'
+function valueAt(value, path) {
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+// How alike two request inputs are: one point per equal top-level field
+function inputScore(incoming, recorded) {
+  if (incoming === undefined || recorded === undefined) return 0;
+  if (stableJSON(incoming) === stableJSON(recorded)) return EXACT_BODY_SCORE;
+  if (!incoming || !recorded || typeof incoming !== 'object' || typeof recorded !== 'object') return 0;
+  return Object.keys(incoming).filter(key => key in recorded && stableJSON(incoming[key]) === stableJSON(recorded[key])).length;
+}
+
+function queryScore(incoming, recorded) {
+  let score = 0;
+  for (const [name, value] of incoming.searchParams) {
+    if (recorded.searchParams.get(name) === value) score++;
+  }
+  return score;
+}
+
+const isSuccess = resp => /^2/.test(String(resp.status));
+
+function randomLatency(latency) {
+  if (!latency) return 0;
+  if (typeof latency === 'number') return latency;
+  const min = latency.min ?? 0;
+  const max = latency.max ?? min;
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class MockServer {
+  /**
+   * options:
+   *   port, host        where to listen (default 127.0.0.1:4010, port 0 picks a free one)
+   *   latency           ms, or { min, max } for a random delay per request
+   *   rules             [{ method, path, query, body, status, headers, response, latency }]
+   *   unmatchedLog      NDJSON file unmatched requests are appended to
+   *   cors              answer preflights and allow any origin (default true)
+   *   redaction         policy for the headers written to the unmatched log
+   *   log               logger (default console.log)
+   */
+  constructor(capture, options = {}) {
+    this.capture = capture;
+    this.port = options.port ?? 4010;
+    this.host = options.host || '127.0.0.1';
+    this.latency = options.latency || 0;
+    this.unmatchedLog = options.unmatchedLog || null;
+    this.cors = options.cors !== false;
+    this.redactor = new Redactor(options.redaction);
+    this.log = options.log || console.log;
+
+    this.endpoints = new Map(endpointEntries(capture.endpoints));
+    // Most specific first: more literal segments win over more parameters
+    this.routes = Array.from(this.endpoints.entries())
+      .filter(([, endpoint]) => !endpoint.graphql && !endpoint.trpc)
+      .map(([key, endpoint]) => ({
+        key,
+        method: endpoint.method,
+        pattern: pathPattern(endpoint.path),
+        literals: endpoint.path.split('/').filter(segment => segment && !segment.startsWith('{')).length
+      }))
+      .sort((a, b) => b.literals - a.literals);
+    this.rules = (options.rules || []).map(rule => ({
+      ...rule,
+      method: rule.method?.toUpperCase(),
+      pattern: rule.path ? pathPattern(rule.path) : null
+    }));
+
+    this.hits = new Map();      // endpoint key or 'rule N' -> count
+    this.unmatched = new Map(); // 'METHOD /path' -> count
+    this.server = null;
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.log(`❌ Mock error on ${req.method} ${req.url}: ${error.message}`);
+        if (!res.headersSent) this.send(res, req, { status: 500, body: { error: error.message } });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.url = `http://${this.host}:${this.port}`;
+    this.log(`🎭 Mock server for ${this.capture.domain || 'capture'} on ${this.url} (${this.endpoints.size} endpoints)`);
+    return { url: this.url, port: this.port };
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections?.();
+    await new Promise(resolve => server.close(() => resolve()));
+  }
+
+  summary() {
+    return {
+      url: this.url,
+      domain: this.capture.domain,
+      endpoints: this.endpoints.size,
+      hits: Object.fromEntries(this.hits),
+      unmatched: Array.from(this.unmatched.entries()).map(([request, count]) => ({ request, count }))
+    };
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const text = Buffer.concat(chunks).toString('utf-8');
+    const urlObj = new URL(req.url, `http://${req.headers.host || this.host}`);
+    const incoming = { method: req.method, url: urlObj, headers: req.headers, text, body: parseJSON(text) };
+
+    const reply = this.matchRule(incoming) || this.matchOperations(incoming) || this.matchRoute(incoming);
+    if (reply) {
+      this.hits.set(reply.hit, (this.hits.get(reply.hit) || 0) + 1);
+      await sleep(randomLatency(reply.latency ?? this.latency));
+      this.send(res, req, reply);
+      return;
+    }
+
+    if (this.cors && req.method === 'OPTIONS') {
+      this.send(res, req, { status: 204 });
+      return;
+    }
+
+    this.recordUnmatched(incoming);
+    await sleep(randomLatency(this.latency));
+    this.send(res, req, { status: 404, body: { error: 'No captured endpoint matches this request', method: req.method, path: urlObj.pathname } });
+  }
+
+  matchRule(incoming) {
+    const index = this.rules.findIndex(rule => {
+      if (rule.method && rule.method !== '*' && rule.method !== incoming.method) return false;
+      if (rule.pattern && !rule.pattern.test(incoming.url.pathname)) return false;
+      if (rule.query && !Object.entries(rule.query).every(([name, value]) => incoming.url.searchParams.get(name) === String(value))) return false;
+      if (rule.body && !Object.entries(rule.body).every(([path, value]) => stableJSON(valueAt(incoming.body, path)) === stableJSON(value))) return false;
+      return true;
+    });
+    if (index === -1) return null;
+    const rule = this.rules[index];
+
+    // A literal response, or the recorded sample of the matched endpoint with the rule's status
+    if (rule.response !== undefined) {
+      return { hit: `rule ${index}`, status: rule.status || 200, headers: rule.headers, body: rule.response, latency: rule.latency };
+    }
+    const reply = this.matchOperations(incoming, rule.status) || this.matchRoute(incoming, rule.status);
+    if (!reply) return null;
+    return { ...reply, hit: `rule ${index}`, headers: { ...reply.headers, ...rule.headers }, latency: rule.latency };
+  }
+
+  // GraphQL operations and tRPC procedures, batched or not
+  matchOperations(incoming, status) {
+    const request = { method: incoming.method, postData: incoming.text || undefined };
+    const operations = parseGraphQLRequest(request, incoming.url) || parseTRPCRequest(request, incoming.url);
+    if (!operations) return null;
+
+    const routePath = templatePath(incoming.url.pathname).path;
+    const keyOf = op => (op.kind === 'trpc' ? `${incoming.method} ${op.path}` : `${incoming.method} ${routePath} ${op.operationName}`);
+    if (!operations.every(op => this.endpoints.has(keyOf(op)))) return null;
+
+    const results = operations.map(op => {
+      const key = keyOf(op);
+      const endpoint = this.endpoints.get(key);
+      const resp = this.pickResponse(endpoint, recorded => {
+        const match = this.recordedOperations(endpoint, recorded).find(other => keyOf(other) === key);
+        return match ? inputScore(op.kind === 'trpc' ? op.input : op.variables, op.kind === 'trpc' ? match.input : match.variables) : 0;
+      }, status);
+      return { op, key, resp };
+    });
+
+    const missing = results.find(({ resp }) => !resp);
+    if (missing) return this.notCaptured(missing.key);
+
+    const bodies = results.map(({ op, resp }) => {
+      const body = resp.body !== undefined ? resp.body : parseJSON(resp.bodyText) ?? null;
+      if (op.kind !== 'trpc') return body;
+      // tRPC bodies were stored unwrapped per procedure
+      return isSuccess(resp) ? { result: { data: body } } : { error: body };
+    });
+
+    const batched = operations[0].batchIndex !== null;
+    const [first] = results;
+    const failed = results.some(({ resp }) => !isSuccess(resp));
+    return {
+      hit: results.map(({ key }) => key).join(', '),
+      status: batched ? (failed && first.op.kind === 'trpc' ? 207 : 200) : first.resp.status,
+      headers: this.replayHeaders(first.resp),
+      body: batched ? bodies : bodies[0]
+    };
+  }
+
+  // The operations a recorded request carried, parsed the same way as the incoming one
+  recordedOperations(endpoint, recorded) {
+    try {
+      const urlObj = new URL(recorded.url || endpoint.url);
+      const request = { method: endpoint.method, postData: recorded.postData };
+      return parseGraphQLRequest(request, urlObj) || parseTRPCRequest(request, urlObj) || [];
+    } catch {
+      return [];
+    }
+  }
+
+  matchRoute(incoming, status) {
+    const exact = `${incoming.method} ${templatePath(incoming.url.pathname).path}`;
+    const key = this.endpoints.has(exact)
+      ? exact
+      : this.routes.find(route => route.method === incoming.method && route.pattern.test(incoming.url.pathname))?.key;
+    if (!key) return null;
+
+    const endpoint = this.endpoints.get(key);
+    const resp = this.pickResponse(endpoint, recorded => {
+      let score = 0;
+      if (recorded.url) score += queryScore(incoming.url, new URL(recorded.url));
+      return score + inputScore(incoming.body, parseJSON(recorded.postData));
+    }, status);
+    if (!resp) return this.notCaptured(key);
+
+    return { hit: key, status: resp.status, headers: this.replayHeaders(resp), ...this.replayBody(endpoint, resp) };
+  }
+
+  // Highest scoring recorded response; ties go to a success, then to the most recent one
+  pickResponse(endpoint, score, status) {
+    const candidates = (endpoint.responses || []).filter(resp => status === undefined || String(resp.status) === String(status));
+    let best = null;
+    let bestScore = -1;
+    candidates.forEach(resp => {
+      const recorded = (endpoint.requests || []).find(request => request.requestId === resp.requestId);
+      const value = recorded ? score(recorded) : 0;
+      if (value > bestScore || (value === bestScore && (isSuccess(resp) || !isSuccess(best)))) {
+        best = resp;
+        bestScore = value;
+      }
+    });
+    return best;
+  }
+
+  // Documented but never answered, e.g. blocked in read-only mode
+  notCaptured(key) {
+    return { hit: key, status: 501, body: { error: `No response was captured for ${key}` } };
+  }
+
+  // Repeated headers (Set-Cookie, ...) were recorded newline-joined; writeHead wants them as a list
+  replayHeaders(resp) {
+    return Object.fromEntries(Object.entries(resp.headers || {})
+      .filter(([name]) => !DROPPED_HEADERS.test(name))
+      .map(([name, value]) => [name, typeof value === 'string' && value.includes('\n') ? value.split('\n') : value]));
+  }
+
+  replayBody(endpoint, resp) {
+    if (resp.events?.length > 0) {
+      const text = endpoint.streaming?.format === 'sse'
+        ? resp.events.map(({ event, id, data }) => {
+          const payload = typeof data === 'string' ? data : JSON.stringify(data);
+          return `${id ? `id: ${id}\n` : ''}event: ${event}\n${payload.split('\n').map(line => `data: ${line}`).join('\n')}\n\n`;
+        }).join('')
+        : resp.events.map(({ data }) => `${typeof data === 'string' ? data : JSON.stringify(data)}\n`).join('');
+      return { text };
+    }
+    // Decoded msgpack, protobuf, ... bodies are served as their JSON view
+    if (resp.body !== undefined) return { text: JSON.stringify(resp.body), json: Boolean(resp.decoding) };
+    return { text: resp.bodyText || '' };
+  }
+
+  send(res, req, { status, headers = {}, body, text, json }) {
+    const out = { ...headers };
+    let payload = text ?? '';
+    if (body !== undefined) payload = typeof body === 'string' ? body : JSON.stringify(body);
+
+    const typeKey = Object.keys(out).find(name => name.toLowerCase() === 'content-type');
+    if (json && typeKey) delete out[typeKey];
+    if (json || (body !== undefined && !typeKey)) {
+      out['content-type'] = typeof body === 'string' ? 'text/plain; charset=utf-8' : 'application/json';
+    }
+
+    if (this.cors) {
+      out['access-control-allow-origin'] = req.headers.origin || '*';
+      out['access-control-allow-credentials'] = 'true';
+      out['access-control-allow-methods'] = 'GET, POST, PUT, PATCH, DELETE, OPTIONS';
+      out['access-control-allow-headers'] = req.headers['access-control-request-headers'] || '*';
+    }
+
+    res.writeHead(Number(status) || 200, out);
+    res.end(status === 204 || req.method === 'HEAD' ? undefined : payload);
+  }
+
+  recordUnmatched(incoming) {
+    // GraphQL and tRPC calls are told apart by their operations, not their path
+    const parsed = { method: incoming.method, postData: incoming.text || undefined };
+    const operations = parseGraphQLRequest(parsed, incoming.url) || parseTRPCRequest(parsed, incoming.url);
+    const names = operations ? ` ${operations.map(op => op.operationName || op.procedure).join(', ')}` : '';
+    const request = `${incoming.method} ${incoming.url.pathname}${names}`;
+    this.unmatched.set(request, (this.unmatched.get(request) || 0) + 1);
+    this.log(`❓ Unmatched ${request}${this.redactor.text(incoming.url.search)}`);
+    if (!this.unmatchedLog) return;
+
+    const line = {
+      timestamp: new Date().toISOString(),
+      method: incoming.method,
+      url: this.redactor.text(incoming.url.href),
+      headers: Object.fromEntries(Object.entries(incoming.headers).map(([name, value]) => [name, this.redactor.header(name, value)])),
+      body: incoming.body !== undefined ? this.redactor.deep(incoming.body) : this.redactor.text(incoming.text) || undefined
+    };
+    appendFile(this.unmatchedLog, JSON.stringify(line) + '\n', error => {
+      if (error) this.log(`⚠️ Could not write ${this.unmatchedLog}: ${error.message}`);
+    });
+  }
+}
+
+/**
+ * --latency=200 or --latency=100-500, --rules=<json or file>, --unmatched-log=<file>, --host=<host>
+ */
+export function mockFromArgs(argv) {
+  const valueOf = name => argv.find(arg => arg.startsWith(`--${name}=`))?.substring(name.length + 3);
+  const options = {};
+
+  const latency = valueOf('latency');
+  if (latency) {
+    const [min, max] = latency.split('-').map(Number);
+    options.latency = max === undefined ? min : { min, max };
+  }
+  const rules = valueOf('rules');
+  if (rules) options.rules = JSON.parse(rules.trim().startsWith('[') ? rules : readFileSync(rules, 'utf-8'));
+  if (valueOf('unmatched-log')) options.unmatchedLog = valueOf('unmatched-log');
+  if (valueOf('host')) options.host = valueOf('host');
+  return options;
+}
+
+export function unmatchedLogFilename(domain) {
+  return `mock-unmatched-${String(domain || 'capture').replace(/\./g, '-')}.ndjson`;
+}
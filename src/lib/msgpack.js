@@ -0,0 +1,154 @@
+/**
+ * MessagePack Decoding
+ * Just enough of the spec to turn captured bodies into JSON-able values:
+ * binary becomes base64, 64-bit integers outside the safe range become
+ * strings, and extension types are kept as { $ext, data }
+ */
+
+export function jsonSafeInteger(value) {
+  return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER)
+    ? Number(value)
+    : value.toString();
+}
+
+class Reader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  take(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of msgpack data');
+    }
+    const start = this.offset;
+    this.offset += length;
+    return start;
+  }
+
+  uint(size) {
+    const at = this.take(size);
+    if (size === 1) return this.view.getUint8(at);
+    if (size === 2) return this.view.getUint16(at);
+    if (size === 4) return this.view.getUint32(at);
+    return jsonSafeInteger(this.view.getBigUint64(at));
+  }
+
+  int(size) {
+    const at = this.take(size);
+    if (size === 1) return this.view.getInt8(at);
+    if (size === 2) return this.view.getInt16(at);
+    if (size === 4) return this.view.getInt32(at);
+    return jsonSafeInteger(this.view.getBigInt64(at));
+  }
+
+  str(length) {
+    const at = this.take(length);
+    return Buffer.from(this.bytes.subarray(at, at + length)).toString('utf-8');
+  }
+
+  bin(length) {
+    const at = this.take(length);
+    return Buffer.from(this.bytes.subarray(at, at + length)).toString('base64');
+  }
+
+  array(length) {
+    const items = [];
+    for (let i = 0; i < length; i++) items.push(this.value());
+    return items;
+  }
+
+  map(length) {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+      const key = this.value();
+      object[typeof key === 'string' ? key : JSON.stringify(key)] = this.value();
+    }
+    return object;
+  }
+
+  ext(length) {
+    const type = this.int(1);
+    // Type -1 is the standard timestamp extension
+    if (type === -1) {
+      const at = this.offset;
+      let seconds;
+      let nanoseconds = 0;
+      if (length === 4) {
+        seconds = this.view.getUint32(at);
+      } else if (length === 8) {
+        const high = this.view.getUint32(at);
+        nanoseconds = high >>> 2;
+        seconds = (high & 0x3) * 2 ** 32 + this.view.getUint32(at + 4);
+      } else if (length === 12) {
+        nanoseconds = this.view.getUint32(at);
+        seconds = Number(this.view.getBigInt64(at + 4));
+      }
+      this.take(length);
+      if (seconds !== undefined) {
+        return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6)).toISOString();
+      }
+    }
+    return { $ext: type, data: this.bin(length) };
+  }
+
+  value() {
+    const byte = this.uint(1);
+
+    if (byte <= 0x7f) return byte;
+    if (byte >= 0xe0) return byte - 0x100;
+    if ((byte & 0xf0) === 0x80) return this.map(byte & 0x0f);
+    if ((byte & 0xf0) === 0x90) return this.array(byte & 0x0f);
+    if ((byte & 0xe0) === 0xa0) return this.str(byte & 0x1f);
+
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this.bin(this.uint(1));
+      case 0xc5: return this.bin(this.uint(2));
+      case 0xc6: return this.bin(this.uint(4));
+      case 0xc7: return this.ext(this.uint(1));
+      case 0xc8: return this.ext(this.uint(2));
+      case 0xc9: return this.ext(this.uint(4));
+      case 0xca: return this.view.getFloat32(this.take(4));
+      case 0xcb: return this.view.getFloat64(this.take(8));
+      case 0xcc: return this.uint(1);
+      case 0xcd: return this.uint(2);
+      case 0xce: return this.uint(4);
+      case 0xcf: return this.uint(8);
+      case 0xd0: return this.int(1);
+      case 0xd1: return this.int(2);
+      case 0xd2: return this.int(4);
+      case 0xd3: return this.int(8);
+      case 0xd4: return this.ext(1);
+      case 0xd5: return this.ext(2);
+      case 0xd6: return this.ext(4);
+      case 0xd7: return this.ext(8);
+      case 0xd8: return this.ext(16);
+      case 0xd9: return this.str(this.uint(1));
+      case 0xda: return this.str(this.uint(2));
+      case 0xdb: return this.str(this.uint(4));
+      case 0xdc: return this.array(this.uint(2));
+      case 0xdd: return this.array(this.uint(4));
+      case 0xde: return this.map(this.uint(2));
+      case 0xdf: return this.map(this.uint(4));
+      default:
+        throw new Error(`Invalid msgpack type byte 0x${byte.toString(16)}`);
+    }
+  }
+}
+
+/**
+ * Decode a msgpack buffer. Several concatenated values (a msgpack stream)
+ * decode to an array.
+ */
+export function decodeMsgpack(bytes) {
+  const reader = new Reader(bytes);
+  const values = [reader.value()];
+  while (reader.offset < bytes.length) {
+    values.push(reader.value());
+  }
+  return values.length === 1 ? values[0] : values;
+}
@@ -0,0 +1,303 @@
+/**
+ * OpenAPI Export
+ * Turns captured endpoints into a valid OpenAPI 3.1 document
+ */
+
+import { inferSchema } from './schema-inference.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Accept both the live Map from a capture run and the plain object from endpoints-*.json
+function endpointEntries(endpoints) {
+  if (!endpoints) return [];
+  return endpoints instanceof Map ? Array.from(endpoints.entries()) : Object.entries(endpoints);
+}
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+const PATH_PARAM_SCHEMAS = {
+  numeric: { type: 'integer' },
+  uuid: { type: 'string', format: 'uuid' },
+  date: { type: 'string', format: 'date' }
+};
+
+function operationIdFor(method, path, used) {
+  const words = path
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1));
+  const base = `${method.toLowerCase()}${words.join('') || 'Root'}`;
+
+  let id = base;
+  let suffix = 2;
+  while (used.has(id)) {
+    id = `${base}${suffix++}`;
+  }
+  used.add(id);
+  return id;
+}
+
+// Map auth headers seen on a request to security scheme names
+function detectSecuritySchemes(headers) {
+  const found = {};
+
+  const authorization = getHeader(headers, 'authorization');
+  if (authorization) {
+    const scheme = authorization.split(' ')[0].toLowerCase();
+    if (scheme === 'bearer') {
+      found.bearerAuth = { type: 'http', scheme: 'bearer' };
+      if (authorization.split(' ')[1]?.split('.').length === 3) {
+        found.bearerAuth.bearerFormat = 'JWT';
+      }
+    } else if (scheme === 'basic') {
+      found.basicAuth = { type: 'http', scheme: 'basic' };
+    } else {
+      found.authorizationHeader = { type: 'apiKey', in: 'header', name: 'Authorization' };
+    }
+  }
+
+  if (getHeader(headers, 'x-api-key')) {
+    found.apiKeyAuth = { type: 'apiKey', in: 'header', name: 'X-API-Key' };
+  }
+
+  return found;
+}
+
+// Uploaded files were captured as { filename, contentType, size } - document them as binary
+function multipartSchema(schema) {
+  const isFile = property => property?.properties?.filename && property.properties.size;
+  const properties = Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => {
+    if (isFile(property)) return [name, { type: 'string', format: 'binary' }];
+    if (isFile(property?.items)) return [name, { type: 'array', items: { type: 'string', format: 'binary' } }];
+    return [name, property];
+  }));
+  return { ...schema, properties };
+}
+
+// Prefer the schema inferred during capture, fall back to inferring from the kept samples
+function buildRequestBody(payloads, requests, schema) {
+  const content = {};
+  const contentType = requests
+    .map(r => getHeader(r.headers, 'content-type'))
+    .find(Boolean);
+
+  const jsonSamples = payloads.filter(p => p.data !== undefined).map(p => p.data);
+  if (jsonSamples.length > 0) {
+    // Decoded binary bodies (msgpack, protobuf, ...) keep their real media type
+    const decoded = payloads.some(p => p.decoding);
+    const mediaType = contentType && (contentType.includes('json') || decoded) ? contentType.split(';')[0] : 'application/json';
+    content[mediaType] = { schema: schema || inferSchema(jsonSamples), example: jsonSamples[0] };
+    if (mediaType.startsWith('multipart/')) {
+      content[mediaType] = { schema: multipartSchema(content[mediaType].schema) };
+    }
+  }
+
+  const rawPayload = payloads.find(p => p.data === undefined && p.raw !== undefined);
+  if (rawPayload) {
+    const mediaType = contentType ? contentType.split(';')[0] : 'text/plain';
+    if (!content[mediaType]) {
+      content[mediaType] = { schema: { type: 'string' }, example: rawPayload.raw };
+    }
+  }
+
+  return Object.keys(content).length > 0 ? { content } : null;
+}
+
+function buildResponses(responses, schemas) {
+  const result = {};
+  const samples = {};
+
+  responses.forEach(resp => {
+    const status = String(resp.statusCode || resp.status || 'default');
+    if (!result[status]) {
+      result[status] = { description: resp.statusText || `Observed ${status} response` };
+    }
+
+    const mediaType = (resp.mimeType || getHeader(resp.headers, 'content-type') || '').split(';')[0];
+    if (resp.body !== undefined && mediaType) {
+      samples[status] = samples[status] || { mediaType, bodies: [] };
+      samples[status].bodies.push(resp.body);
+    }
+  });
+
+  Object.entries(samples).forEach(([status, { mediaType, bodies }]) => {
+    result[status].content = {
+      [mediaType]: { schema: schemas[status] || inferSchema(bodies), example: bodies[0] }
+    };
+  });
+
+  if (Object.keys(result).length === 0) {
+    result.default = { description: 'No response captured' };
+  }
+
+  return result;
+}
+
+// One titled schema per GraphQL operation, combined with oneOf when a route carries several
+function graphqlSchemas(operations) {
+  const combine = schemas => (schemas.length === 1 ? schemas[0] : { oneOf: schemas });
+
+  const request = combine(operations.map(({ operationName, schemas }) => ({
+    title: operationName,
+    type: 'object',
+    properties: {
+      operationName: { const: operationName },
+      query: { type: 'string' },
+      variables: schemas?.request || { type: 'object' },
+      extensions: { type: 'object' }
+    }
+  })));
+
+  const statuses = new Set(operations.flatMap(({ schemas }) => Object.keys(schemas?.responses || {})));
+  const responses = {};
+  statuses.forEach(status => {
+    responses[status] = combine(operations
+      .filter(({ schemas }) => schemas?.responses?.[status])
+      .map(({ operationName, schemas }) => ({ title: operationName, ...schemas.responses[status] })));
+  });
+
+  return { request, responses };
+}
+
+/**
+ * Build an OpenAPI 3.1 document from capture data.
+ * `capture` is either a recon instance or the parsed endpoints-{domain}.json
+ * (anything with `domain` and an `endpoints` Map/object).
+ */
+export function generateOpenAPI(capture, options = {}) {
+  const operations = new Map();
+  const servers = new Set();
+
+  // Older captures keyed endpoints by method + path + search, so merge the query variants
+  endpointEntries(capture.endpoints).forEach(([_, endpoint]) => {
+    const method = endpoint.method.toLowerCase();
+    if (!HTTP_METHODS.includes(method)) return;
+
+    try {
+      servers.add(new URL(endpoint.url).origin);
+    } catch {}
+
+    const opKey = `${method} ${endpoint.path}`;
+    if (!operations.has(opKey)) {
+      operations.set(opKey, {
+        method,
+        path: endpoint.path,
+        query: {},
+        pathParams: {},
+        schemas: { request: null, responses: {} },
+        requests: [],
+        payloads: [],
+        responses: [],
+        graphql: [],
+        unsent: 0
+      });
+    }
+
+    const op = operations.get(opKey);
+    Object.assign(op.query, endpoint.query || {});
+    Object.assign(op.pathParams, endpoint.pathParams || {});
+    if (endpoint.schemas) {
+      op.schemas.request = op.schemas.request || endpoint.schemas.request;
+      op.schemas.responses = { ...endpoint.schemas.responses, ...op.schemas.responses };
+    }
+    // GraphQL operations share one HTTP route; keep each one's schemas apart
+    if (endpoint.graphql) {
+      op.graphql.push({ ...endpoint.graphql, schemas: endpoint.schemas });
+    }
+    op.requests.push(...(endpoint.requests || []));
+    op.payloads.push(...(endpoint.payloads || []));
+    op.responses.push(...(endpoint.responses || []));
+    op.unsent += endpoint.unsent || 0;
+  });
+
+  const paths = {};
+  const securitySchemes = {};
+  const usedIds = new Set();
+
+  operations.forEach(op => {
+    const operation = {
+      operationId: operationIdFor(op.method, op.path, usedIds),
+      summary: `${op.method.toUpperCase()} ${op.path}`,
+      tags: [op.path.split('/').slice(0, 3).join('/') || '/']
+    };
+
+    // Templated segments like {userId} must be declared as path parameters
+    const pathParameters = Array.from(op.path.matchAll(/\{([^}]+)\}/g)).map(([_, name]) => {
+      const param = op.pathParams[name] || {};
+      return {
+        name,
+        in: 'path',
+        required: true,
+        schema: PATH_PARAM_SCHEMAS[param.kind] || { type: 'string' },
+        ...(param.examples?.length
+          ? { example: param.kind === 'numeric' ? Number(param.examples[0]) : param.examples[0] }
+          : {})
+      };
+    });
+
+    const queryParameters = Object.entries(op.query).map(([name, example]) => ({
+      name,
+      in: 'query',
+      required: false,
+      schema: { type: 'string' },
+      example
+    }));
+
+    const parameters = [...pathParameters, ...queryParameters];
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    if (op.graphql.length > 0) {
+      op.schemas = graphqlSchemas(op.graphql);
+      operation.description = `GraphQL operations: ${op.graphql.map(g => `${g.operationType || 'operation'} ${g.operationName}`).join(', ')}`;
+    }
+
+    const requestBody = buildRequestBody(op.payloads, op.requests, op.schemas.request);
+    if (requestBody) {
+      operation.requestBody = requestBody;
+    }
+
+    operation.responses = buildResponses(op.responses, op.schemas.responses);
+    // Blocked by a read-only capture, so there's no real response to describe
+    if (op.unsent > 0 && op.responses.length === 0) {
+      operation['x-observed-not-sent'] = true;
+      operation.responses = { default: { description: 'Observed, not sent (read-only capture)' } };
+    }
+
+    const opSchemes = {};
+    op.requests.forEach(req => Object.assign(opSchemes, detectSecuritySchemes(req.headers)));
+    if (Object.keys(opSchemes).length > 0) {
+      Object.assign(securitySchemes, opSchemes);
+      operation.security = Object.keys(opSchemes).map(name => ({ [name]: [] }));
+    }
+
+    paths[op.path] = paths[op.path] || {};
+    paths[op.path][op.method] = operation;
+  });
+
+  const doc = {
+    openapi: '3.1.0',
+    info: {
+      title: options.title || `${capture.domain || 'Captured'} API`,
+      version: options.version || '1.0.0',
+      description: `Generated from endpoints captured${capture.capturedAt ? ` at ${capture.capturedAt}` : ''}`
+    },
+    servers: Array.from(servers).map(url => ({ url })),
+    paths
+  };
+
+  if (Object.keys(securitySchemes).length > 0) {
+    doc.components = { securitySchemes };
+  }
+
+  return doc;
+}
+
+export function openAPIFilename(domain) {
+  return `openapi-${domain.replace(/\./g, '-')}.json`;
+}
@@ -0,0 +1,136 @@
+/**
+ * Path Templating
+ * Collapses IDs, UUIDs, hashes, slugs and dates in URL paths into
+ * parameterized routes like /api/users/{userId}
+ */
+
+const MAX_EXAMPLES = 10;
+
+// Order matters: dates before numbers, specific formats before the generic ones
+const SEGMENT_KINDS = [
+  { kind: 'uuid', test: s => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s) },
+  { kind: 'date', test: s => /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?$/.test(s) },
+  { kind: 'numeric', test: s => /^\d+$/.test(s) },
+  { kind: 'hash', test: s => /^[0-9a-f]{16,}$/i.test(s) },
+  // Opaque ids such as nanoid/base62 tokens: long, mixed letters and digits
+  { kind: 'id', test: s => s.length >= 20 && /^[A-Za-z0-9_-]+$/.test(s) && /\d/.test(s) && /[A-Za-z]/.test(s) },
+  // Slugs: long hyphenated phrases, or words mixed with numbers (post-123, iphone-15-pro)
+  {
+    kind: 'slug',
+    test: s => {
+      if (!/^[a-z0-9]+(?:-[a-z0-9]+)+$/.test(s)) return false;
+      const parts = s.split('-');
+      return parts.length >= 4 || (parts.some(p => /^\d+$/.test(p)) && parts.some(p => /[a-z]/.test(p)));
+    }
+  }
+];
+
+const NAME_SUFFIX = {
+  uuid: 'Id',
+  numeric: 'Id',
+  hash: 'Id',
+  id: 'Id',
+  slug: 'Slug',
+  date: 'Date'
+};
+
+export function classifySegment(segment) {
+  let decoded = segment;
+  try {
+    decoded = decodeURIComponent(segment);
+  } catch {}
+
+  const match = SEGMENT_KINDS.find(({ test }) => test(decoded));
+  return match ? match.kind : null;
+}
+
+function singularize(word) {
+  if (word.endsWith('ies') && word.length > 3) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss') && word.length > 1) return word.slice(0, -1);
+  return word;
+}
+
+function camelCase(word) {
+  return word
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((part, i) => (i === 0 ? part.toLowerCase() : part[0].toUpperCase() + part.slice(1).toLowerCase()))
+    .join('');
+}
+
+function paramName(previousSegment, kind, used) {
+  const suffix = NAME_SUFFIX[kind];
+  // '2fa' -> '_2faId': the names become identifiers in generated clients
+  const base = previousSegment && /[A-Za-z]/.test(previousSegment)
+    ? `${camelCase(singularize(previousSegment))}${suffix}`.replace(/^(?=\d)/, '_')
+    : suffix.toLowerCase();
+
+  let name = base;
+  let counter = 2;
+  while (used.has(name)) {
+    name = `${base}${counter++}`;
+  }
+  used.add(name);
+  return name;
+}
+
+/**
+ * Turn a concrete pathname into a route template.
+ * Returns the templated path and the values pulled out of it.
+ */
+export function templatePath(pathname) {
+  const segments = pathname.split('/');
+  const params = [];
+  const used = new Set();
+  let previousStatic = null;
+
+  const templated = segments.map(segment => {
+    if (!segment) return segment;
+
+    const kind = classifySegment(segment);
+    if (!kind) {
+      previousStatic = segment;
+      return segment;
+    }
+
+    const name = paramName(previousStatic, kind, used);
+    params.push({ name, value: segment, kind });
+    previousStatic = null;
+    return `{${name}}`;
+  });
+
+  return { path: templated.join('/'), params };
+}
+
+/**
+ * Fold a concrete request URL into its templated endpoint: merges query
+ * parameters into one list, records path parameter examples and keeps a
+ * bounded set of raw URLs under `endpoint.examples`.
+ */
+export function recordExample(endpoint, urlObj, params) {
+  for (const [name, value] of urlObj.searchParams) {
+    if (!(name in endpoint.query)) {
+      endpoint.query[name] = value;
+    }
+  }
+
+  params.forEach(({ name, value, kind }) => {
+    if (!endpoint.pathParams[name]) {
+      endpoint.pathParams[name] = { kind, examples: [] };
+    }
+    const examples = endpoint.pathParams[name].examples;
+    if (examples.length < MAX_EXAMPLES && !examples.includes(value)) {
+      examples.push(value);
+    }
+  });
+
+  const url = urlObj.toString();
+  if (endpoint.examples.length < MAX_EXAMPLES && !endpoint.examples.some(ex => ex.url === url)) {
+    endpoint.examples.push({
+      url,
+      path: urlObj.pathname,
+      query: Object.fromEntries(urlObj.searchParams),
+      params: Object.fromEntries(params.map(p => [p.name, p.value]))
+    });
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Postman Export
+ * Turns a capture into a Postman v2.1 collection plus a matching environment.
+ * Folders follow the report's basePath grouping, each endpoint becomes one
+ * request with its captured query and body example, and credentials never sit
+ * in the collection: auth headers read {{variables}} that live in the
+ * environment file, next to {{baseUrl}}.
+ */
+
+import { Redactor } from './redaction.js';
+import { BROWSER_HEADERS } from './snippets.js';
+
+const COLLECTION_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+function endpointEntries(endpoints) {
+  if (!endpoints) return [];
+  return endpoints instanceof Map ? Array.from(endpoints.entries()) : Object.entries(endpoints);
+}
+
+// 'x-csrf-token' -> 'csrfToken', 'authorization' -> 'authorization'
+function variableName(header) {
+  return header
+    .toLowerCase()
+    .replace(/^x-/, '')
+    .replace(/[^a-z0-9]+([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+// The origin of the captured domain becomes {{baseUrl}}; other hosts stay literal
+function primaryOrigin(capture, entries) {
+  const origins = entries.map(([, endpoint]) => originOf(endpoint.url)).filter(Boolean);
+  return origins.find(origin => new URL(origin).hostname === capture.domain) || origins[0] || null;
+}
+
+function latestRequest(endpoint) {
+  const requests = endpoint.requests || [];
+  return requests[requests.length - 1];
+}
+
+function requestBody(endpoint) {
+  const payload = (endpoint.payloads || [])[0];
+  if (!payload) return undefined;
+
+  if (endpoint.graphql && typeof payload.data?.query === 'string') {
+    return {
+      mode: 'graphql',
+      graphql: { query: payload.data.query, variables: JSON.stringify(payload.data.variables || {}, null, 2) }
+    };
+  }
+  // Decoded binary bodies (msgpack, protobuf, ...) show their JSON view as a starting point
+  if (payload.data !== undefined) {
+    return { mode: 'raw', raw: JSON.stringify(payload.data, null, 2), options: { raw: { language: 'json' } } };
+  }
+  return { mode: 'raw', raw: String(payload.raw ?? '') };
+}
+
+function requestName(key, endpoint) {
+  if (endpoint.graphql) return `${endpoint.graphql.operationType || 'operation'} ${endpoint.graphql.operationName}`;
+  if (endpoint.trpc) return `${endpoint.trpc.type} ${endpoint.trpc.procedure}`;
+  return key;
+}
+
+/**
+ * Build { collection, environment } from a capture (live engine Map or
+ * endpoints-*.json). `redactor` applies to the environment's values and to
+ * everything else left in the collection.
+ */
+export function generatePostman(capture, options = {}) {
+  const redactor = options.redactor || new Redactor({ mode: 'full' });
+  const name = options.name || `${capture.domain || 'Captured'} API`;
+  const entries = endpointEntries(capture.endpoints);
+  const baseUrl = primaryOrigin(capture, entries);
+
+  const variables = new Map(); // variable name -> { header, value }
+  const folders = new Map();   // basePath -> items
+
+  entries.forEach(([key, endpoint]) => {
+    const request = latestRequest(endpoint);
+    const header = [];
+    Object.entries(request?.headers || {}).forEach(([headerName, value]) => {
+      if (BROWSER_HEADERS.test(headerName)) return;
+      if (redactor.isSensitiveHeader(headerName)) {
+        const variable = variableName(headerName);
+        if (!variables.has(variable)) variables.set(variable, { header: headerName, value });
+        header.push({ key: headerName, value: `{{${variable}}}` });
+        return;
+      }
+      header.push({ key: headerName, value });
+    });
+
+    const origin = originOf(endpoint.url);
+    const host = origin && origin === baseUrl ? '{{baseUrl}}' : origin || '';
+    // Postman path variables are :name, with the first captured value as their example
+    const segments = endpoint.path.split('/').filter(Boolean).map(segment => segment.replace(/^\{(.+)\}$/, ':$1'));
+    const pathVariables = Object.entries(endpoint.pathParams || {}).map(([param, { examples }]) => ({
+      key: param,
+      value: examples?.[0] ?? ''
+    }));
+    const queryEntries = Object.entries(endpoint.query || {});
+    const query = queryEntries.map(([queryKey, value]) => ({
+      key: queryKey,
+      value: redactor.isSensitiveKey(queryKey) ? redactor.value(value, queryKey) : String(value)
+    }));
+    // The raw URL is redacted as text with the rest of the collection
+    const queryString = queryEntries.length > 0 ? `?${queryEntries.map(([queryKey, value]) => `${queryKey}=${value}`).join('&')}` : '';
+
+    const item = {
+      name: requestName(key, endpoint),
+      request: {
+        method: endpoint.method,
+        header,
+        url: {
+          raw: `${host}/${segments.join('/')}${queryString}`,
+          host: [host],
+          path: segments,
+          ...(query.length > 0 ? { query } : {}),
+          ...(pathVariables.length > 0 ? { variable: pathVariables } : {})
+        }
+      }
+    };
+    const body = requestBody(endpoint);
+    if (body) item.request.body = body;
+
+    const basePath = endpoint.path.split('/').slice(0, 3).join('/') || '/';
+    if (!folders.has(basePath)) folders.set(basePath, []);
+    folders.get(basePath).push(item);
+  });
+
+  const collection = redactor.deep({
+    info: {
+      name,
+      description: `Generated from endpoints captured${capture.capturedAt ? ` at ${capture.capturedAt}` : ''}. Credentials are {{variables}} from the matching environment file.`,
+      schema: COLLECTION_SCHEMA
+    },
+    item: Array.from(folders.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([basePath, items]) => ({ name: basePath, item: items }))
+  });
+
+  const environment = {
+    name,
+    values: [
+      ...(baseUrl ? [{ key: 'baseUrl', value: baseUrl, type: 'default', enabled: true }] : []),
+      ...Array.from(variables.entries()).map(([variable, { header, value }]) => ({
+        key: variable,
+        value: redactor.header(header, value),
+        type: 'secret',
+        enabled: true
+      }))
+    ],
+    _postman_variable_scope: 'environment'
+  };
+
+  return { collection, environment };
+}
+
+export function postmanFilenames(domain) {
+  const base = domain.replace(/\./g, '-');
+  return {
+    collection: `postman-${base}.postman_collection.json`,
+    environment: `postman-${base}.postman_environment.json`
+  };
+}
@@ -0,0 +1,536 @@
+/**
+ * Protocol Buffers Decoding
+ * Without a schema, messages decode into field-number trees ({ "1": ..., "2": [...] })
+ * using wire types and a few heuristics. With user-supplied .proto files, fields
+ * get their declared names and types. Also splits gRPC-web bodies into frames.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { jsonSafeInteger } from './msgpack.js';
+
+const MAX_DEPTH = 32;
+
+// ---------------------------------------------------------------------------
+// Wire format
+// ---------------------------------------------------------------------------
+
+class WireReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  get done() {
+    return this.offset >= this.bytes.length;
+  }
+
+  varint() {
+    let result = 0n;
+    let shift = 0n;
+    for (;;) {
+      if (this.offset >= this.bytes.length || shift > 63n) {
+        throw new Error('Malformed protobuf varint');
+      }
+      const byte = this.bytes[this.offset++];
+      result |= BigInt(byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) return result;
+      shift += 7n;
+    }
+  }
+
+  take(length) {
+    if (length < 0 || this.offset + length > this.bytes.length) {
+      throw new Error('Protobuf field runs past the end of the message');
+    }
+    const slice = this.bytes.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  // One field: { number, wireType, value } where value is a BigInt or a byte slice
+  field() {
+    const key = this.varint();
+    const number = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    if (number < 1 || number > 536870911) {
+      throw new Error(`Invalid protobuf field number ${number}`);
+    }
+
+    switch (wireType) {
+      case 0: return { number, wireType, value: this.varint() };
+      case 1: return { number, wireType, value: this.take(8) };
+      case 2: return { number, wireType, value: this.take(Number(this.varint())) };
+      case 5: return { number, wireType, value: this.take(4) };
+      default:
+        // Groups (3/4) are long deprecated; treat them as "not a message"
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+function readFields(bytes) {
+  const reader = new WireReader(bytes);
+  const fields = [];
+  while (!reader.done) {
+    fields.push(reader.field());
+  }
+  return fields;
+}
+
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function plausibleFloat(value, max) {
+  return Number.isFinite(value) && (value === 0 || (Math.abs(value) >= 1e-7 && Math.abs(value) < max));
+}
+
+function isPrintableUTF8(bytes) {
+  const text = Buffer.from(bytes).toString('utf-8');
+  if (text.includes('�')) return false;
+  // eslint-disable-next-line no-control-regex
+  return !/[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/.test(text);
+}
+
+// A field seen more than once is repeated
+function addField(object, key, value) {
+  if (!(key in object)) {
+    object[key] = value;
+  } else if (Array.isArray(object[key]) && object[key].repeated) {
+    object[key].push(value);
+  } else {
+    object[key] = Object.defineProperty([object[key], value], 'repeated', { value: true });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Schema-less decoding
+// ---------------------------------------------------------------------------
+
+function untypedValue({ wireType, value }, depth) {
+  switch (wireType) {
+    case 0:
+      return jsonSafeInteger(value);
+    case 1: {
+      const double = viewOf(value).getFloat64(0, true);
+      return plausibleFloat(double, 1e15) ? double : jsonSafeInteger(viewOf(value).getBigUint64(0, true));
+    }
+    case 5: {
+      const float = viewOf(value).getFloat32(0, true);
+      return plausibleFloat(float, 1e9) ? Math.fround(float) : viewOf(value).getUint32(0, true);
+    }
+    default: {
+      if (value.length === 0) return '';
+      if (isPrintableUTF8(value)) return Buffer.from(value).toString('utf-8');
+      if (depth < MAX_DEPTH) {
+        try {
+          return untypedMessage(value, depth + 1);
+        } catch {
+          // Not a nested message
+        }
+      }
+      return Buffer.from(value).toString('base64');
+    }
+  }
+}
+
+function untypedMessage(bytes, depth = 0) {
+  const result = {};
+  for (const field of readFields(bytes)) {
+    addField(result, String(field.number), untypedValue(field, depth));
+  }
+  return result;
+}
+
+/**
+ * Decode a protobuf message without its schema into a field-number tree.
+ * Repeated fields become arrays; length-delimited fields become strings,
+ * nested trees or base64 bytes, whichever fits.
+ */
+export function decodeProtobuf(bytes) {
+  if (bytes.length === 0) return {};
+  return untypedMessage(bytes);
+}
+
+// ---------------------------------------------------------------------------
+// .proto schemas
+// ---------------------------------------------------------------------------
+
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[A-Za-z_.][\w.]*|-?\d[\w.+-]*|\S/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const token = match[0];
+    if (token.startsWith('//') || token.startsWith('/*')) continue;
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+class ProtoParser {
+  constructor(source, schema) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.schema = schema;
+    this.package = '';
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    if (this.index >= this.tokens.length) throw new Error('Unexpected end of .proto file');
+    return this.tokens[this.index++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual !== token) throw new Error(`Expected "${token}" in .proto file, got "${actual}"`);
+  }
+
+  // Options, reserved ranges, imports, extend blocks - nothing we need to decode
+  skipStatement() {
+    let depth = 0;
+    for (;;) {
+      const token = this.next();
+      if (token === '{') depth++;
+      else if (token === '}' && --depth === 0) return;
+      else if (token === ';' && depth === 0) return;
+    }
+  }
+
+  parse() {
+    while (this.index < this.tokens.length) {
+      const token = this.next();
+      if (token === 'package') {
+        this.package = this.next();
+        this.expect(';');
+      } else if (token === 'message') {
+        this.message(this.package);
+      } else if (token === 'enum') {
+        this.enum(this.package);
+      } else if (token === 'service') {
+        this.service();
+      } else if (token !== ';') {
+        this.skipStatement();
+      }
+    }
+  }
+
+  qualify(scope, name) {
+    return scope ? `${scope}.${name}` : name;
+  }
+
+  message(scope) {
+    const name = this.next();
+    const fullName = this.qualify(scope, name);
+    const type = { kind: 'message', name, fullName, scope, fields: new Map() };
+    this.schema.types.set(fullName, type);
+
+    this.expect('{');
+    this.messageBody(type);
+  }
+
+  messageBody(type) {
+    for (;;) {
+      const token = this.next();
+      if (token === '}') return;
+      if (token === ';') continue;
+
+      if (token === 'message') {
+        this.message(type.fullName);
+      } else if (token === 'enum') {
+        this.enum(type.fullName);
+      } else if (token === 'oneof') {
+        this.next();
+        this.expect('{');
+        this.messageBody(type);
+      } else if (['option', 'reserved', 'extensions', 'extend'].includes(token)) {
+        this.skipStatement();
+      } else if (token === 'map') {
+        this.expect('<');
+        const keyType = this.next();
+        this.expect(',');
+        const valueType = this.next();
+        this.expect('>');
+        this.field(type, valueType, { map: keyType });
+      } else if (['optional', 'required', 'repeated'].includes(token)) {
+        this.field(type, this.next(), { repeated: token === 'repeated' });
+      } else {
+        this.field(type, token, {});
+      }
+    }
+  }
+
+  field(type, fieldType, { repeated = false, map = null }) {
+    const name = this.next();
+    this.expect('=');
+    const number = Number(this.next());
+    this.fieldOptions();
+    this.expect(';');
+    type.fields.set(number, { name, number, type: fieldType, repeated, map });
+  }
+
+  // [packed = false, deprecated = true] - packing is detected from the wire type anyway
+  fieldOptions() {
+    if (this.peek() !== '[') return;
+    while (this.next() !== ']');
+  }
+
+  enum(scope) {
+    const name = this.next();
+    const fullName = this.qualify(scope, name);
+    const type = { kind: 'enum', name, fullName, values: new Map() };
+    this.schema.types.set(fullName, type);
+
+    this.expect('{');
+    for (;;) {
+      const token = this.next();
+      if (token === '}') return;
+      if (token === ';') continue;
+      if (token === 'option' || token === 'reserved') {
+        this.skipStatement();
+        continue;
+      }
+      this.expect('=');
+      const number = Number(this.next());
+      if (!type.values.has(number)) type.values.set(number, token);
+      this.fieldOptions();
+      this.expect(';');
+    }
+  }
+
+  service() {
+    const name = this.next();
+    const fullName = this.qualify(this.package, name);
+    this.expect('{');
+    for (;;) {
+      const token = this.next();
+      if (token === '}') return;
+      if (token === ';') continue;
+      if (token !== 'rpc') {
+        this.skipStatement();
+        continue;
+      }
+
+      const method = this.next();
+      const signature = {};
+      for (const part of ['requestType', 'responseType']) {
+        if (part === 'responseType') this.expect('returns');
+        this.expect('(');
+        let typeName = this.next();
+        if (typeName === 'stream') typeName = this.next();
+        signature[part] = typeName;
+        this.expect(')');
+      }
+      // gRPC-web calls POST /<package>.<Service>/<Method>
+      this.schema.methods.set(`/${fullName}/${method}`, { ...signature, scope: this.package });
+
+      if (this.peek() === '{') {
+        this.skipStatement();
+      } else {
+        this.expect(';');
+      }
+    }
+  }
+}
+
+const VARINT_TYPES = new Set(['int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64', 'bool']);
+const FIXED32_TYPES = new Set(['fixed32', 'sfixed32', 'float']);
+const FIXED64_TYPES = new Set(['fixed64', 'sfixed64', 'double']);
+
+export class ProtoSchema {
+  constructor() {
+    this.types = new Map();   // fully-qualified name -> message or enum
+    this.methods = new Map(); // "/pkg.Service/Method" -> { requestType, responseType }
+  }
+
+  static fromFiles(files = []) {
+    const schema = new ProtoSchema();
+    files.forEach(file => schema.add(fs.readFileSync(file, 'utf-8')));
+    return schema;
+  }
+
+  add(source) {
+    new ProtoParser(source, this).parse();
+    return this;
+  }
+
+  get size() {
+    return this.types.size;
+  }
+
+  // Resolve a type name the way protoc does: innermost scope outwards
+  resolve(name, scope = '') {
+    if (name.startsWith('.')) return this.types.get(name.substring(1)) || null;
+
+    const parts = scope ? scope.split('.') : [];
+    for (let i = parts.length; i >= 0; i--) {
+      const candidate = [...parts.slice(0, i), name].join('.');
+      if (this.types.has(candidate)) return this.types.get(candidate);
+    }
+    return null;
+  }
+
+  // Request/response message types for a gRPC(-web) path
+  method(path) {
+    const method = this.methods.get(path);
+    if (!method) return null;
+    return {
+      requestType: this.resolve(method.requestType, method.scope)?.fullName || null,
+      responseType: this.resolve(method.responseType, method.scope)?.fullName || null
+    };
+  }
+
+  decode(bytes, typeName) {
+    const type = this.resolve(typeName);
+    if (!type || type.kind !== 'message') {
+      throw new Error(`Unknown protobuf message type ${typeName}`);
+    }
+    return this.decodeMessage(bytes, type, 0);
+  }
+
+  decodeMessage(bytes, type, depth) {
+    if (depth > MAX_DEPTH) throw new Error('Protobuf message nested too deeply');
+
+    const result = {};
+    for (const field of readFields(bytes)) {
+      const definition = type.fields.get(field.number);
+      // Fields the .proto doesn't know about keep their number
+      if (!definition) {
+        addField(result, String(field.number), untypedValue(field, depth));
+        continue;
+      }
+
+      if (definition.map) {
+        const entry = this.decodeMapEntry(field.value, definition, type, depth);
+        result[definition.name] = result[definition.name] || {};
+        result[definition.name][entry.key] = entry.value;
+        continue;
+      }
+
+      const values = this.fieldValues(field, definition, type, depth);
+      if (definition.repeated) {
+        result[definition.name] = [...(result[definition.name] || []), ...values];
+      } else {
+        // Last one wins for singular fields
+        result[definition.name] = values[values.length - 1];
+      }
+    }
+    return result;
+  }
+
+  decodeMapEntry(bytes, definition, type, depth) {
+    const entry = { key: '', value: null };
+    for (const field of readFields(bytes)) {
+      const fieldType = field.number === 1 ? definition.map : definition.type;
+      const [value] = this.fieldValues(field, { ...definition, type: fieldType }, type, depth);
+      if (field.number === 1) entry.key = String(value);
+      else entry.value = value;
+    }
+    return entry;
+  }
+
+  fieldValues(field, definition, type, depth) {
+    const scalar = VARINT_TYPES.has(definition.type) || FIXED32_TYPES.has(definition.type) || FIXED64_TYPES.has(definition.type);
+
+    // Packed repeated scalars arrive as one length-delimited run
+    if (scalar && field.wireType === 2) {
+      const reader = new WireReader(field.value);
+      const values = [];
+      while (!reader.done) {
+        if (VARINT_TYPES.has(definition.type)) {
+          values.push(this.scalar(definition.type, reader.varint()));
+        } else {
+          values.push(this.scalar(definition.type, reader.take(FIXED32_TYPES.has(definition.type) ? 4 : 8)));
+        }
+      }
+      return values;
+    }
+
+    if (scalar || definition.type === 'string' || definition.type === 'bytes') {
+      return [this.scalar(definition.type, field.value)];
+    }
+
+    const referenced = this.resolve(definition.type, type.fullName);
+    if (referenced?.kind === 'enum' && field.wireType === 0) {
+      const number = Number(BigInt.asIntN(32, field.value));
+      return [referenced.values.get(number) ?? number];
+    }
+    if (referenced?.kind === 'message' && field.wireType === 2) {
+      return [this.decodeMessage(field.value, referenced, depth + 1)];
+    }
+    return [untypedValue(field, depth)];
+  }
+
+  scalar(typeName, value) {
+    switch (typeName) {
+      case 'int32': return Number(BigInt.asIntN(32, value));
+      case 'uint32': return Number(BigInt.asUintN(32, value));
+      case 'int64': return jsonSafeInteger(BigInt.asIntN(64, value));
+      case 'uint64': return jsonSafeInteger(BigInt.asUintN(64, value));
+      case 'sint32':
+      case 'sint64': return jsonSafeInteger((value >> 1n) ^ -(value & 1n));
+      case 'bool': return value !== 0n;
+      case 'fixed32': return viewOf(value).getUint32(0, true);
+      case 'sfixed32': return viewOf(value).getInt32(0, true);
+      case 'float': return Math.fround(viewOf(value).getFloat32(0, true));
+      case 'fixed64': return jsonSafeInteger(viewOf(value).getBigUint64(0, true));
+      case 'sfixed64': return jsonSafeInteger(viewOf(value).getBigInt64(0, true));
+      case 'double': return viewOf(value).getFloat64(0, true);
+      case 'string': return Buffer.from(value).toString('utf-8');
+      case 'bytes': return Buffer.from(value).toString('base64');
+      default: return value;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// gRPC-web
+// ---------------------------------------------------------------------------
+
+/**
+ * Split a gRPC-web body into its length-prefixed frames.
+ * Returns { messages: [bytes], trailers: { name: value } }.
+ */
+export function splitGrpcWebFrames(bytes) {
+  const messages = [];
+  const trailers = {};
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    if (offset + 5 > bytes.length) throw new Error('Truncated gRPC-web frame header');
+    const flags = bytes[offset];
+    const length = viewOf(bytes).getUint32(offset + 1);
+    if (offset + 5 + length > bytes.length) throw new Error('Truncated gRPC-web frame');
+
+    let payload = bytes.subarray(offset + 5, offset + 5 + length);
+    offset += 5 + length;
+
+    // Compressed frames use the call's grpc-encoding, which is gzip in practice
+    if (flags & 0x01) {
+      payload = zlib.gunzipSync(payload);
+    }
+
+    if (flags & 0x80) {
+      Buffer.from(payload).toString('utf-8').split(/\r?\n/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) trailers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+      });
+    } else {
+      messages.push(payload);
+    }
+  }
+
+  return { messages, trailers };
+}
+
+// grpc-web-text bodies are base64, possibly several padded chunks back to back
+export function decodeGrpcWebText(text) {
+  const chunks = String(text).replace(/\s+/g, '').match(/[^=]+=*/g) || [];
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk, 'base64')));
+}
@@ -0,0 +1,69 @@
+/**
+ * Read-only Mode
+ * Decides which intercepted requests would change server state and must not
+ * leave the browser. Blocked requests are still documented from what the page
+ * tried to send - they're just marked "observed, not sent".
+ *
+ * Policy (or just `true` for the defaults):
+ *   { methods: ['POST', 'PUT', 'PATCH', 'DELETE'], allow: ['POST /api/search', '^/api/query'],
+ *     allowGraphQLQueries: true, mode: 'fail' | 'hold' }
+ *
+ * `allow` entries are path regexes, optionally prefixed with a method. GraphQL
+ * POSTs that only carry queries are reads and go through unless
+ * `allowGraphQLQueries` is false. 'fail' errors the request in the page
+ * (BlockedByClient); 'hold' leaves it pending forever.
+ */
+
+import { parseGraphQLRequest } from './graphql.js';
+
+export const DEFAULT_BLOCKED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+function allowRule(entry) {
+  const match = String(entry).match(/^([A-Z]+)\s+(.+)$/);
+  return match
+    ? { method: match[1], path: new RegExp(match[2]) }
+    : { method: null, path: new RegExp(entry) };
+}
+
+export class ReadOnlyPolicy {
+  constructor(policy = {}) {
+    const options = policy === true ? {} : policy;
+    this.methods = new Set((options.methods || DEFAULT_BLOCKED_METHODS).map(m => m.toUpperCase()));
+    this.allow = (options.allow || []).map(allowRule);
+    this.allowGraphQLQueries = options.allowGraphQLQueries !== false;
+    this.mode = options.mode === 'hold' ? 'hold' : 'fail';
+  }
+
+  // Whether a request ({ method, url, postData }) must not be sent
+  blocks(request) {
+    const method = String(request.method).toUpperCase();
+    if (!this.methods.has(method)) return false;
+
+    let urlObj;
+    try {
+      urlObj = new URL(request.url);
+    } catch {
+      return true;
+    }
+
+    if (this.allow.some(rule => (!rule.method || rule.method === method) && rule.path.test(urlObj.pathname))) {
+      return false;
+    }
+
+    if (this.allowGraphQLQueries) {
+      const operations = parseGraphQLRequest(request, urlObj);
+      if (operations?.length > 0 && operations.every(op => op.operationType === 'query')) return false;
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Read a read-only policy from tool CLI arguments: --read-only or --read-only=<json>
+ */
+export function readOnlyFromArgs(argv) {
+  if (argv.includes('--read-only')) return true;
+  const readOnlyArg = argv.find(arg => arg.startsWith('--read-only='));
+  return readOnlyArg ? JSON.parse(readOnlyArg.substring('--read-only='.length)) : null;
+}
@@ -0,0 +1,317 @@
+/**
+ * Secret Redaction
+ * One policy applied to every output (markdown, JSON, HAR, MCP previews).
+ *
+ * Modes:
+ *   full        - leave values as captured
+ *   masked      - keep a short prefix/suffix plus a hash, e.g. "eyJh...9xQw [sha256:1a2b3c4d]"
+ *   placeholder - replace with a named variable, e.g. "{{AUTH_TOKEN}}"
+ *
+ * Policy (all rule lists extend the defaults):
+ *   { mode, headers: [names], cookies: [names or '*'], jsonKeys: [substrings],
+ *     patterns: [{ name, regex }] }
+ */
+
+import { createHash } from 'crypto';
+
+export const REDACTION_MODES = ['full', 'masked', 'placeholder'];
+
+export const DEFAULT_REDACTION_RULES = {
+  headers: [
+    'authorization', 'proxy-authorization', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token',
+    'x-api-key', 'x-access-token', 'x-session-token', 'x-amz-security-token', 'cookie', 'set-cookie'
+  ],
+  // Every cookie value is a potential session credential
+  cookies: ['*'],
+  jsonKeys: [
+    'password', 'passwd', 'secret', 'token', 'apikey', 'sessionid', 'authorization',
+    'credential', 'privatekey', 'signature'
+  ],
+  patterns: [
+    { name: 'JWT', regex: /eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g },
+    { name: 'AWS_ACCESS_KEY', regex: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+    { name: 'AWS_SECRET_KEY', regex: /(?<=aws_secret_access_key["'\s:=]+)[A-Za-z0-9/+=]{40}\b/gi },
+    { name: 'GITHUB_TOKEN', regex: /\bgh[pousr]_[A-Za-z0-9]{36,}\b/g },
+    { name: 'SLACK_TOKEN', regex: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { name: 'STRIPE_KEY', regex: /\b[sr]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+    { name: 'GOOGLE_API_KEY', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { name: 'PRIVATE_KEY', regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+  ]
+};
+
+// Header names whose placeholder shouldn't just be the upper-cased name
+const HEADER_PLACEHOLDERS = {
+  authorization: 'AUTH_TOKEN',
+  'proxy-authorization': 'PROXY_AUTH_TOKEN',
+  cookie: 'COOKIE',
+  'set-cookie': 'SET_COOKIE'
+};
+
+const HEADER_CONTAINER_KEYS = new Set(['headers', 'extraHeaders']);
+const COOKIE_CONTAINER_KEYS = new Set(['cookies', 'associatedCookies', 'cookie']);
+
+const REDACTED_MARKER = /(?:\[sha256:[0-9a-f]{8}\]|\{\{[A-Z0-9_]+\}\})/;
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function placeholderName(name) {
+  return String(name)
+    .replace(/^x-/i, '')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '')
+    .toUpperCase() || 'SECRET';
+}
+
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.flags.includes('g') ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+  }
+  return new RegExp(pattern, 'g');
+}
+
+// Whether a value already went through a Redactor (masked or placeholder)
+export function isRedacted(value) {
+  return typeof value === 'string' && REDACTED_MARKER.test(value);
+}
+
+export class Redactor {
+  constructor(policy = {}) {
+    this.mode = policy.mode || 'masked';
+    if (!REDACTION_MODES.includes(this.mode)) {
+      throw new Error(`Unknown redaction mode: ${this.mode} (expected ${REDACTION_MODES.join(', ')})`);
+    }
+
+    this.headerRules = new Set([...DEFAULT_REDACTION_RULES.headers, ...(policy.headers || [])].map(h => h.toLowerCase()));
+    this.cookieRules = [...DEFAULT_REDACTION_RULES.cookies, ...(policy.cookies || [])].map(c => c.toLowerCase());
+    this.jsonKeyRules = [...DEFAULT_REDACTION_RULES.jsonKeys, ...(policy.jsonKeys || [])].map(normalizeKey);
+    this.patterns = [...DEFAULT_REDACTION_RULES.patterns, ...(policy.patterns || [])].map(({ name, regex }) => ({
+      name: placeholderName(name),
+      regex: toRegExp(regex)
+    }));
+  }
+
+  get enabled() {
+    return this.mode !== 'full';
+  }
+
+  // Redact a single secret value; `label` names the placeholder
+  value(secret, label = 'SECRET') {
+    if (!this.enabled || secret === undefined || secret === null || secret === '') return secret;
+
+    const text = String(secret);
+    if (REDACTED_MARKER.test(text)) return text;
+
+    if (this.mode === 'placeholder') {
+      return `{{${placeholderName(label)}}}`;
+    }
+
+    const hash = createHash('sha256').update(text).digest('hex').substring(0, 8);
+    // Short secrets would be mostly revealed by a prefix/suffix
+    if (text.length <= 12) {
+      return `**** [sha256:${hash}]`;
+    }
+    return `${text.substring(0, 4)}...${text.substring(text.length - 4)} [sha256:${hash}]`;
+  }
+
+  isSensitiveHeader(name) {
+    return this.headerRules.has(String(name).toLowerCase());
+  }
+
+  isSensitiveCookie(name) {
+    const lower = String(name).toLowerCase();
+    return this.cookieRules.some(rule => rule === '*' || lower === rule || lower.includes(rule));
+  }
+
+  isSensitiveKey(key) {
+    const normalized = normalizeKey(key);
+    return normalized.length > 0 && this.jsonKeyRules.some(rule => normalized.includes(rule));
+  }
+
+  cookie(name, value) {
+    return this.isSensitiveCookie(name) ? this.value(value, `COOKIE_${name}`) : value;
+  }
+
+  // "a=1; b=2" - redact each cookie value but keep the names
+  cookieHeader(value) {
+    return String(value).split(';').map(part => {
+      const index = part.indexOf('=');
+      if (index === -1) return part;
+      const name = part.substring(0, index).trim();
+      return `${part.substring(0, index)}=${this.cookie(name, part.substring(index + 1))}`;
+    }).join(';');
+  }
+
+  header(name, value) {
+    if (!this.enabled || typeof value !== 'string') return value;
+
+    const lower = String(name).toLowerCase();
+    if (lower === 'cookie') return this.cookieHeader(value);
+    if (lower === 'set-cookie') {
+      return value.split('\n').map(line => {
+        const [pair, ...attributes] = line.split(';');
+        return [this.cookieHeader(pair), ...attributes].join(';');
+      }).join('\n');
+    }
+
+    if (this.isSensitiveHeader(lower)) {
+      const label = HEADER_PLACEHOLDERS[lower] || placeholderName(lower);
+      // Keep the auth scheme so "Bearer {{AUTH_TOKEN}}" still reads right
+      const scheme = value.match(/^(Bearer|Basic|Token|Digest|Bot)\s+(.+)$/i);
+      return scheme ? `${scheme[1]} ${this.value(scheme[2], label)}` : this.value(value, label);
+    }
+
+    return this.text(value);
+  }
+
+  headers(headers) {
+    if (!headers || !this.enabled) return headers;
+    return Object.fromEntries(
+      Object.entries(headers).map(([name, value]) => [name, this.header(name, value)])
+    );
+  }
+
+  // Captured token strings: "authorization=...", "cookie.sid=...", "payload.user.token=..."
+  token(token) {
+    if (!this.enabled) return token;
+
+    const index = token.indexOf('=');
+    if (index === -1) return this.value(token);
+
+    const name = token.substring(0, index);
+    const value = token.substring(index + 1);
+    if (name.startsWith('cookie.')) {
+      return `${name}=${this.value(value, `COOKIE_${name.substring(7)}`)}`;
+    }
+    if (name.startsWith('payload.')) {
+      return `${name}=${this.value(value, name.split('.').pop())}`;
+    }
+    const redacted = this.isSensitiveHeader(name) ? this.header(name, value) : this.value(value, name);
+    return `${name}=${redacted}`;
+  }
+
+  // Free text: known secret formats, JSON "key": "value" pairs and key=value params
+  text(text) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) return text;
+
+    let result = text;
+
+    for (const { name, regex } of this.patterns) {
+      result = result.replace(regex, match => this.value(match, name));
+    }
+
+    result = result.replace(/"([^"\\]{1,64})"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g, (match, key, separator, value) => (
+      this.isSensitiveKey(key) && value ? `"${key}"${separator}"${this.value(value, key)}"` : match
+    ));
+
+    result = result.replace(/(^|[?&\s])([A-Za-z0-9_.\-[\]]{1,64})=([^&#\s"'<>]+)/g, (match, lead, key, value) => (
+      this.isSensitiveKey(key) ? `${lead}${key}=${this.value(decodeSafe(value), key)}` : match
+    ));
+
+    return result;
+  }
+
+  /**
+   * Walk any captured structure (endpoint JSON, HAR, MCP results) and redact it:
+   * header maps and {name, value} header/cookie lists by name, sensitive keys
+   * by key, token lists as tokens, and every other string as free text.
+   */
+  deep(value, parentKey = null) {
+    if (!this.enabled) return value;
+
+    if (Array.isArray(value)) {
+      if (parentKey === 'tokens') {
+        return value.map(item => (typeof item === 'string' ? this.token(item) : this.deep(item, parentKey)));
+      }
+      return value.map(item => this.deep(item, parentKey));
+    }
+
+    if (value && typeof value === 'object') {
+      const isPair = typeof value.name === 'string' && typeof value.value === 'string';
+
+      if (isPair && COOKIE_CONTAINER_KEYS.has(parentKey)) {
+        return { ...this.deepFields(value, ['value']), value: this.cookie(value.name, value.value) };
+      }
+      if (isPair && HEADER_CONTAINER_KEYS.has(parentKey)) {
+        return { ...this.deepFields(value, ['value']), value: this.header(value.name, value.value) };
+      }
+      if (HEADER_CONTAINER_KEYS.has(parentKey)) {
+        return this.headers(value);
+      }
+      // Named values: HAR query strings and form params, OpenAPI parameter examples
+      if (typeof value.name === 'string' && this.isSensitiveKey(value.name)) {
+        const result = this.deepFields(value, ['value', 'example']);
+        for (const field of ['value', 'example']) {
+          if (value[field] !== undefined) result[field] = this.value(value[field], value.name);
+        }
+        return result;
+      }
+      // Maps of name -> cookie object keep the cookie context
+      if (COOKIE_CONTAINER_KEYS.has(parentKey)) {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.deep(v, parentKey)]));
+      }
+
+      return this.deepFields(value);
+    }
+
+    if (typeof value === 'string') {
+      return this.text(value);
+    }
+
+    return value;
+  }
+
+  // Inferred schemas for a sensitive property carry sample values in enum/const/examples
+  schemaValues(schema, label) {
+    const result = { ...schema };
+    for (const field of ['enum', 'examples']) {
+      if (Array.isArray(result[field])) {
+        result[field] = result[field].map(item => (typeof item === 'string' ? this.value(item, label) : item));
+      }
+    }
+    for (const field of ['const', 'default', 'example']) {
+      if (typeof result[field] === 'string') result[field] = this.value(result[field], label);
+    }
+    return result;
+  }
+
+  deepFields(object, skip = []) {
+    const result = {};
+    for (const [key, val] of Object.entries(object)) {
+      if (skip.includes(key)) continue;
+      if ((typeof val === 'string' || typeof val === 'number') && this.isSensitiveKey(key)) {
+        result[key] = this.value(val, key);
+      } else if (val && typeof val === 'object' && !Array.isArray(val) && this.isSensitiveKey(key)) {
+        result[key] = this.schemaValues(this.deep(val, key), key);
+      } else {
+        result[key] = this.deep(val, key);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * Read a redaction policy from tool CLI arguments:
+ *   --redact=<mode>          just pick the mode
+ *   --redaction=<json>       full policy, as passed by the MCP server
+ */
+export function redactionFromArgs(argv) {
+  const policyArg = argv.find(arg => arg.startsWith('--redaction='));
+  const policy = policyArg ? JSON.parse(policyArg.substring('--redaction='.length)) : {};
+
+  const modeArg = argv.find(arg => arg.startsWith('--redact='));
+  if (modeArg) {
+    policy.mode = modeArg.substring('--redact='.length);
+  }
+  return policy;
+}
+
+function decodeSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
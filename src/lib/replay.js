@@ -0,0 +1,279 @@
+/**
+ * Request Replay
+ * Rebuilds one captured request (endpoint key + sample index) from a capture
+ * JSON with its original headers, cookies and body, applies overrides for
+ * headers, query parameters, JSON body paths and auth, and compares the new
+ * response with the recorded one: status, headers and body fields by path.
+ */
+
+import { Redactor, isRedacted } from './redaction.js';
+import { parseGraphQLRequest } from './graphql.js';
+import { parseTRPCRequest, unwrapTRPCResult } from './trpc.js';
+
+// Set by the HTTP client for the new connection
+const DROPPED_HEADERS = /^(?::|host$|content-length$|connection$|keep-alive$|transfer-encoding$)/i;
+
+// Per-connection or different on every response, so not worth reporting
+const VOLATILE_HEADERS = /^(?:date|connection|keep-alive|transfer-encoding|age|expires|etag|last-modified|set-cookie|content-length|server-timing|report-to|nel|cf-ray|x-request-id|x-correlation-id|x-trace-id|traceparent|x-amzn-requestid|x-amzn-trace-id|x-runtime|x-response-time)$/i;
+
+// Per list in a diff; the counts say how many there were
+const MAX_DIFF_ENTRIES = 50;
+
+// The capture keeps the first 500 characters of text bodies
+const STORED_TEXT = 500;
+
+function parseJSON(text) {
+  if (typeof text !== 'string' || text === '') return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function parseCookies(header) {
+  return new Map(String(header || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const index = part.indexOf('=');
+    return index === -1 ? [part, ''] : [part.substring(0, index), part.substring(index + 1)];
+  }));
+}
+
+function cookieDomainMatches(domain, hostname) {
+  if (!domain) return true;
+  const bare = domain.replace(/^\./, '').toLowerCase();
+  return hostname === bare || hostname.endsWith(`.${bare}`);
+}
+
+// 'user.email', 'items.0.id': intermediate objects/arrays are created as needed
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (current[key] === null || typeof current[key] !== 'object') {
+      current[key] = /^\d+$/.test(keys[i + 1]) ? [] : {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+// The operation of a batched GraphQL/tRPC request that this endpoint documents
+function findOperation(key, endpoint, urlObj, postData) {
+  const request = { method: endpoint.method, postData };
+  const operations = parseGraphQLRequest(request, urlObj) || parseTRPCRequest(request, urlObj);
+  if (!operations) return null;
+  return operations.find(op => (op.kind === 'trpc'
+    ? `${endpoint.method} ${op.path}` === key
+    : op.operationName === endpoint.graphql?.operationName)) || null;
+}
+
+function applyAuth(headers, auth, redactor) {
+  if (auth.none) {
+    Object.keys(headers)
+      .filter(name => name === 'cookie' || redactor.isSensitiveHeader(name))
+      .forEach(name => delete headers[name]);
+  }
+  if (auth.bearer) headers.authorization = `Bearer ${auth.bearer}`;
+  if (auth.basic) {
+    const credentials = Buffer.from(`${auth.basic.username ?? ''}:${auth.basic.password ?? ''}`).toString('base64');
+    headers.authorization = `Basic ${credentials}`;
+  }
+  if (auth.cookies) {
+    const cookies = parseCookies(headers.cookie);
+    Object.entries(auth.cookies).forEach(([name, value]) => {
+      if (value === null) cookies.delete(name);
+      else cookies.set(name, String(value));
+    });
+    if (cookies.size > 0) headers.cookie = Array.from(cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+    else delete headers.cookie;
+  }
+}
+
+// Where the capture only kept a redacted value, so the request can't be sent as-is
+function redactedValues(request) {
+  const found = [];
+  Object.entries(request.headers).forEach(([name, value]) => {
+    if (name === 'cookie') {
+      parseCookies(value).forEach((cookieValue, cookieName) => {
+        if (isRedacted(cookieValue)) found.push(`cookie ${cookieName}`);
+      });
+    } else if (isRedacted(value)) {
+      found.push(`header ${name}`);
+    }
+  });
+  new URL(request.url).searchParams.forEach((value, name) => {
+    if (isRedacted(value)) found.push(`query ${name}`);
+  });
+  if (isRedacted(request.body)) found.push('body');
+  return found;
+}
+
+/**
+ * Build the request to replay from a parsed capture JSON.
+ * overrides: { headers: { name: value | null }, query: { name: value | null },
+ *              json: { 'dotted.path': value }, auth: { bearer, basic: { username, password }, cookies, none } }
+ * Throws when the sample doesn't exist or still holds redacted values.
+ */
+export function prepareReplay(capture, key, { sampleIndex = 0, overrides = {}, redactor = new Redactor() } = {}) {
+  const endpoint = capture.endpoints?.[key];
+  if (!endpoint) throw new Error(`No endpoint "${key}" in the capture`);
+
+  const requests = endpoint.requests || [];
+  const recorded = requests[sampleIndex];
+  if (!recorded) {
+    throw new Error(`"${key}" has ${requests.length} captured request(s), there is no sample ${sampleIndex}`);
+  }
+  const response = (endpoint.responses || []).find(resp => resp.requestId === recorded.requestId) || null;
+  const warnings = [];
+
+  // Captures from before request URLs were recorded fall back to the endpoint's first URL
+  const url = new URL(recorded.url || endpoint.url);
+  if (!recorded.url) warnings.push('The capture has no URL for this sample; using the endpoint\'s first URL');
+  const operation = findOperation(key, endpoint, url, recorded.postData);
+
+  const headers = {};
+  Object.entries(recorded.headers || {}).forEach(([name, value]) => {
+    if (!DROPPED_HEADERS.test(name)) headers[name.toLowerCase()] = value;
+  });
+  // Cookies the browser attaches after the request is captured: use the ones seen for this host
+  if (!headers.cookie) {
+    const cookies = (endpoint.cookies || []).filter(cookie => cookieDomainMatches(cookie.domain, url.hostname));
+    if (cookies.length > 0) headers.cookie = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  if (overrides.auth) applyAuth(headers, overrides.auth, redactor);
+  Object.entries(overrides.headers || {}).forEach(([name, value]) => {
+    if (value === null) delete headers[name.toLowerCase()];
+    else headers[name.toLowerCase()] = String(value);
+  });
+  Object.entries(overrides.query || {}).forEach(([name, value]) => {
+    if (value === null) url.searchParams.delete(name);
+    else url.searchParams.set(name, String(value));
+  });
+
+  let body = recorded.postData;
+  if (body === undefined && !['GET', 'HEAD'].includes(endpoint.method) && (endpoint.payloads || []).length > 0) {
+    warnings.push('The request body of this sample wasn\'t captured (multipart or binary); sending it without one');
+  }
+  if (overrides.json && Object.keys(overrides.json).length > 0) {
+    const data = parseJSON(body);
+    if (data === undefined || data === null || typeof data !== 'object') {
+      throw new Error(`JSON overrides need a JSON object or array body, and "${key}" sample ${sampleIndex} has ${body === undefined ? 'no body' : 'a non-JSON body'}`);
+    }
+    Object.entries(overrides.json).forEach(([path, value]) => setPath(data, path, value));
+    body = JSON.stringify(data);
+  }
+
+  const request = { method: endpoint.method, url: url.href, headers, body };
+  const redacted = redactedValues(request);
+  if (redacted.length > 0) {
+    throw new Error(
+      `The capture only holds redacted values for: ${redacted.join(', ')}. ` +
+      'Re-capture with redaction mode "full", or pass fresh values in overrides (headers, query, json or auth).'
+    );
+  }
+
+  return { key, endpoint, recorded, response, operation, request, warnings };
+}
+
+/**
+ * Read a replayed response the way the capture stored it: batched GraphQL and
+ * tRPC responses are cut down to this endpoint's operation, and tRPC results
+ * are unwrapped with the status tRPC reports for them.
+ */
+export function readReplayResponse(operation, { status, headers, text }) {
+  let body = parseJSON(text);
+  if (body === undefined) return { status, headers, text };
+
+  if (operation && operation.batchIndex !== null && Array.isArray(body)) body = body[operation.batchIndex];
+  if (operation?.kind === 'trpc') {
+    const { output, error, status: errorStatus } = unwrapTRPCResult(body);
+    if (error === undefined) {
+      // 207 Multi-Status describes the batch, not this call
+      if (status === 207) status = 200;
+      body = output;
+    } else {
+      if (errorStatus) status = errorStatus;
+      body = error;
+    }
+  }
+  return { status, headers, body };
+}
+
+// { 'items[0].id': 1, 'meta.next': null } - leaves only, empty containers as '[]' / '{}'
+function flatten(value, prefix = '', fields = {}) {
+  if (Array.isArray(value)) {
+    if (value.length === 0) fields[prefix || '$'] = '[]';
+    value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, fields));
+  } else if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) fields[prefix || '$'] = '{}';
+    entries.forEach(([name, item]) => flatten(item, prefix ? `${prefix}.${name}` : name, fields));
+  } else {
+    fields[prefix || '$'] = value;
+  }
+  return fields;
+}
+
+function compareMaps(before, after, format = value => value) {
+  const added = Object.keys(after).filter(name => !(name in before));
+  const removed = Object.keys(before).filter(name => !(name in after));
+  const changed = Object.keys(after)
+    .filter(name => name in before && JSON.stringify(before[name]) !== JSON.stringify(after[name]))
+    .map(name => ({ name, recorded: format(before[name]), replayed: format(after[name]) }));
+  return { added, removed, changed };
+}
+
+function bounded(diff) {
+  const counts = { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+  const truncated = Object.values(counts).some(count => count > MAX_DIFF_ENTRIES);
+  return {
+    added: diff.added.slice(0, MAX_DIFF_ENTRIES),
+    removed: diff.removed.slice(0, MAX_DIFF_ENTRIES),
+    changed: diff.changed.slice(0, MAX_DIFF_ENTRIES),
+    ...(truncated ? { counts } : {})
+  };
+}
+
+function lowercaseHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {})
+    .filter(([name]) => !VOLATILE_HEADERS.test(name))
+    .map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Structured diff of a replayed response against the recorded one. Both sides
+ * go through the redactor first, so secrets are compared by their masked form
+ * and never show up in the result.
+ */
+export function compareResponses(recorded, replayed, redactor = new Redactor()) {
+  if (!recorded) {
+    return { identical: false, note: 'No response was recorded for this sample (e.g. blocked in read-only mode)' };
+  }
+
+  const status = { recorded: recorded.status, replayed: replayed.status, changed: String(recorded.status) !== String(replayed.status) };
+  const headers = bounded(compareMaps(
+    redactor.headers(lowercaseHeaders(recorded.headers)),
+    redactor.headers(lowercaseHeaders(replayed.headers))
+  ));
+
+  let body;
+  if (recorded.body !== undefined && replayed.body !== undefined) {
+    const fields = compareMaps(flatten(redactor.deep(recorded.body)), flatten(redactor.deep(replayed.body)));
+    body = bounded({ ...fields, changed: fields.changed.map(({ name, ...values }) => ({ path: name, ...values })) });
+  } else {
+    const before = recorded.body !== undefined ? JSON.stringify(recorded.body) : recorded.bodyText || '';
+    let after = replayed.body !== undefined ? JSON.stringify(replayed.body) : replayed.text || '';
+    if (before.length === STORED_TEXT) after = after.substring(0, STORED_TEXT);
+    body = {
+      format: recorded.body !== undefined || replayed.body !== undefined ? 'json vs text' : 'text',
+      changed: redactor.text(after) !== redactor.text(before)
+    };
+  }
+
+  const bodyChanged = 'added' in body
+    ? body.added.length + body.removed.length + body.changed.length > 0
+    : body.changed;
+  const headersChanged = headers.added.length + headers.removed.length + headers.changed.length > 0;
+  return { identical: !status.changed && !headersChanged && !bodyChanged, status, headers, body };
+}
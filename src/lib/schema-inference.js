@@ -0,0 +1,168 @@
+/**
+ * JSON Schema Inference
+ * Merges every observed JSON sample for an endpoint into one schema:
+ * types, required vs optional, nullable, array items, string formats and small enums
+ */
+
+const MAX_ENUM_VALUES = 5;
+const MAX_ENUM_LENGTH = 40;
+const MAX_ARRAY_SAMPLES = 50;
+
+const STRING_FORMATS = [
+  { format: 'uuid', test: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { format: 'date-time', test: /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/ },
+  { format: 'date', test: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'email', test: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  { format: 'uri', test: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i }
+];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function detectFormat(value) {
+  const match = STRING_FORMATS.find(({ test }) => test.test(value));
+  return match ? match.format : null;
+}
+
+/**
+ * Fold one sample into a shape accumulator (creating it when `shape` is null).
+ * Shapes carry the counts needed to tell required from optional fields and
+ * are rendered to JSON Schema with toJSONSchema().
+ */
+export function addSample(shape, value) {
+  const target = shape || { samples: 0, types: {} };
+  target.samples++;
+
+  const type = typeOf(value);
+  if (type === 'undefined' || type === 'function') return target;
+
+  const slot = target.types[type] || (target.types[type] = { count: 0 });
+  slot.count++;
+
+  if (type === 'string') {
+    const format = detectFormat(value) || 'none';
+    slot.formats = slot.formats || {};
+    slot.formats[format] = (slot.formats[format] || 0) + 1;
+
+    // Track distinct values until there are too many to be an enum
+    if (slot.values !== null) {
+      slot.values = slot.values || [];
+      if (!slot.values.includes(value)) {
+        slot.values.push(value);
+      }
+      if (slot.values.length > MAX_ENUM_VALUES || value.length > MAX_ENUM_LENGTH) {
+        slot.values = null;
+      }
+    }
+  } else if (type === 'array') {
+    slot.items = slot.items || null;
+    value.slice(0, MAX_ARRAY_SAMPLES).forEach(item => {
+      slot.items = addSample(slot.items, item);
+    });
+  } else if (type === 'object') {
+    slot.properties = slot.properties || {};
+    for (const [key, val] of Object.entries(value)) {
+      slot.properties[key] = addSample(slot.properties[key], val);
+    }
+  }
+
+  return target;
+}
+
+function renderType(type, slot) {
+  if (type === 'string') {
+    const schema = { type: 'string' };
+    const formats = Object.keys(slot.formats || {});
+    if (formats.length === 1 && formats[0] !== 'none') {
+      schema.format = formats[0];
+    } else if (slot.values && slot.count >= 3 && slot.count > slot.values.length) {
+      schema.enum = [...slot.values];
+    }
+    return schema;
+  }
+
+  if (type === 'array') {
+    return { type: 'array', items: slot.items ? toJSONSchema(slot.items) : {} };
+  }
+
+  if (type === 'object') {
+    const properties = {};
+    const required = [];
+    for (const [key, propShape] of Object.entries(slot.properties || {})) {
+      properties[key] = toJSONSchema(propShape);
+      // A key present in every object sample is required
+      if (propShape.samples === slot.count) {
+        required.push(key);
+      }
+    }
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    return schema;
+  }
+
+  return { type };
+}
+
+/**
+ * Render a shape accumulator as a JSON Schema (draft 2020-12 / OpenAPI 3.1 compatible).
+ */
+export function toJSONSchema(shape) {
+  if (!shape) return {};
+
+  const types = { ...shape.types };
+  // Mixed integers and floats are just numbers
+  if (types.integer && types.number) {
+    types.number = { count: types.number.count + types.integer.count };
+    delete types.integer;
+  }
+
+  const nullable = Boolean(types.null);
+  delete types.null;
+
+  const schemas = Object.entries(types).map(([type, slot]) => renderType(type, slot));
+
+  if (schemas.length === 0) return { type: 'null' };
+
+  if (schemas.length === 1) {
+    const schema = schemas[0];
+    if (nullable) {
+      schema.type = [schema.type, 'null'];
+      if (schema.enum) schema.enum.push(null);
+    }
+    return schema;
+  }
+
+  if (nullable) schemas.push({ type: 'null' });
+  return { anyOf: schemas };
+}
+
+/**
+ * Infer a schema straight from a list of samples.
+ */
+export function inferSchema(samples) {
+  return toJSONSchema(samples.reduce((shape, sample) => addSample(shape, sample), null));
+}
+
+/**
+ * Render an endpoint's request/response shapes for the JSON report.
+ */
+export function renderSchemas(shapes) {
+  return {
+    request: shapes.request ? toJSONSchema(shapes.request) : null,
+    responses: Object.fromEntries(
+      Object.entries(shapes.responses).map(([status, shape]) => [status, toJSONSchema(shape)])
+    ),
+    // Streaming endpoints: one schema per event name
+    ...(shapes.events ? {
+      events: Object.fromEntries(
+        Object.entries(shapes.events).map(([name, shape]) => [name, toJSONSchema(shape)])
+      )
+    } : {})
+  };
+}
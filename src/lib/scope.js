@@ -0,0 +1,132 @@
+/**
+ * Capture Scope
+ * Decides which requests belong in the report. Everything else (analytics,
+ * ads, telemetry, other people's APIs) is only counted, per host, for a short
+ * out-of-scope summary.
+ *
+ * Policy:
+ *   { includeHosts: [globs], excludeHosts: [globs], includePaths: [regexes],
+ *     excludePaths: [regexes], methods: ['GET', 'POST'], blockTrackers: true }
+ *
+ * Host globs: '*' matches anything, and a leading '*.' also matches the bare
+ * domain ('*.example.com' covers example.com and api.example.com).
+ */
+
+// Analytics, advertising, session-replay and error-telemetry endpoints
+export const DEFAULT_TRACKER_HOSTS = [
+  '*.google-analytics.com', '*.analytics.google.com', '*.googletagmanager.com', '*.doubleclick.net',
+  '*.googlesyndication.com', '*.googleadservices.com', '*.adservice.google.com',
+  'connect.facebook.net', 'www.facebook.com/tr', '*.segment.io', '*.segment.com', '*.mixpanel.com',
+  '*.amplitude.com', '*.heapanalytics.com', '*.posthog.com', '*.hotjar.com', '*.hotjar.io',
+  '*.fullstory.com', '*.clarity.ms', '*.mouseflow.com', '*.crazyegg.com', '*.logrocket.io',
+  '*.logrocket.com', '*.sentry.io', '*.ingest.sentry.io', '*.bugsnag.com', '*.nr-data.net',
+  '*.newrelic.com', '*.datadoghq.com', '*.datadoghq.eu', 'bat.bing.com', 'analytics.tiktok.com',
+  'analytics.twitter.com', 'static.ads-twitter.com', 'px.ads.linkedin.com', 'ct.pinterest.com',
+  'tr.snapchat.com', '*.quantserve.com', '*.scorecardresearch.com', '*.criteo.com', '*.criteo.net',
+  '*.taboola.com', '*.outbrain.com', '*.adnxs.com', '*.rubiconproject.com', '*.pubmatic.com',
+  '*.amazon-adsystem.com', '*.intercom.io', '*.intercomcdn.com', '*.optimizely.com', '*.rudderstack.com',
+  '*.branch.io', '*.onesignal.com', 'mc.yandex.ru', '*.matomo.cloud', '*.plausible.io'
+];
+
+function globToRegExp(glob) {
+  const source = glob.toLowerCase()
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source.replace(/^\.\*\\\./, '(?:.*\\.)?')}$`);
+}
+
+// Host globs may carry a path prefix ('www.facebook.com/tr') for trackers on shared hosts
+function hostRule(glob) {
+  const slash = glob.indexOf('/');
+  return {
+    host: globToRegExp(slash === -1 ? glob : glob.substring(0, slash)),
+    path: slash === -1 ? null : glob.substring(slash)
+  };
+}
+
+function matchesHost(rules, urlObj) {
+  const host = urlObj.hostname.toLowerCase();
+  return rules.some(rule => rule.host.test(host) && (!rule.path || urlObj.pathname.startsWith(rule.path)));
+}
+
+function toRegExp(pattern) {
+  return pattern instanceof RegExp ? pattern : new RegExp(pattern);
+}
+
+export class Scope {
+  constructor(policy = {}) {
+    this.policy = policy;
+    this.includeHosts = (policy.includeHosts || []).map(hostRule);
+    this.excludeHosts = (policy.excludeHosts || []).map(hostRule);
+    this.includePaths = (policy.includePaths || []).map(toRegExp);
+    this.excludePaths = (policy.excludePaths || []).map(toRegExp);
+    this.methods = policy.methods?.length ? new Set(policy.methods.map(m => m.toUpperCase())) : null;
+    this.trackers = policy.blockTrackers === false ? [] : DEFAULT_TRACKER_HOSTS.map(hostRule);
+
+    this.skipped = new Map(); // host -> { requests, reasons, methods, paths }
+  }
+
+  // Why a request is out of scope, or null when it's in
+  reason(method, urlObj) {
+    if (this.methods && !this.methods.has(String(method).toUpperCase())) return 'method';
+    if (matchesHost(this.trackers, urlObj)) return 'tracker';
+    if (matchesHost(this.excludeHosts, urlObj)) return 'excluded host';
+    if (this.includeHosts.length > 0 && !matchesHost(this.includeHosts, urlObj)) return 'host';
+    if (this.excludePaths.some(regex => regex.test(urlObj.pathname))) return 'excluded path';
+    if (this.includePaths.length > 0 && !this.includePaths.some(regex => regex.test(urlObj.pathname))) return 'path';
+    return null;
+  }
+
+  /**
+   * Check a request against the scope, counting it in the out-of-scope
+   * summary when it's not in.
+   */
+  allows(method, url) {
+    let urlObj;
+    try {
+      urlObj = url instanceof URL ? url : new URL(url);
+    } catch {
+      return false;
+    }
+
+    const reason = this.reason(method, urlObj);
+    if (!reason) return true;
+
+    const host = urlObj.host;
+    if (!this.skipped.has(host)) {
+      this.skipped.set(host, { host, requests: 0, reasons: {}, methods: new Set(), paths: [] });
+    }
+    const entry = this.skipped.get(host);
+    entry.requests++;
+    entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+    entry.methods.add(String(method).toUpperCase());
+    if (entry.paths.length < 3 && !entry.paths.includes(urlObj.pathname)) {
+      entry.paths.push(urlObj.pathname);
+    }
+    return false;
+  }
+
+  // The policy as plain JSON, for the capture file
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.policy).map(([key, value]) => [
+      key,
+      Array.isArray(value) ? value.map(item => (item instanceof RegExp ? item.source : item)) : value
+    ]));
+  }
+
+  // Out-of-scope hosts, busiest first
+  summary() {
+    return Array.from(this.skipped.values())
+      .sort((a, b) => b.requests - a.requests)
+      .map(entry => ({ ...entry, methods: Array.from(entry.methods) }));
+  }
+}
+
+/**
+ * Read a scope policy from tool CLI arguments: --scope=<json>
+ */
+export function scopeFromArgs(argv) {
+  const scopeArg = argv.find(arg => arg.startsWith('--scope='));
+  return scopeArg ? JSON.parse(scopeArg.substring('--scope='.length)) : {};
+}
@@ -0,0 +1,162 @@
+/**
+ * Request Snippets
+ * Copy-pasteable curl, Python (requests) and fetch calls for one captured
+ * request. Values go through the redactor first, then each language's own
+ * quoting, so a quote, backslash or newline in a header or body can't break
+ * the snippet.
+ */
+
+// Set by the browser or the HTTP client, not part of the API
+export const BROWSER_HEADERS = /^(?::|host$|content-length$|connection$|accept-encoding$|user-agent$|referer$|origin$|priority$|sec-)/i;
+
+// Bodies that can't be reproduced from their decoded view
+const OPAQUE_DECODERS = new Set(['multipart', 'msgpack', 'cbor', 'protobuf', 'grpc-web']);
+
+// Larger bodies are left to the JSON report rather than inlined
+const MAX_BODY = 4000;
+
+const PYTHON_METHODS = new Set(['get', 'post', 'put', 'patch', 'delete', 'head', 'options']);
+
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function parseCookieHeader(value) {
+  return String(value).split(';').map(part => part.trim()).filter(Boolean).map(part => {
+    const index = part.indexOf('=');
+    return index === -1 ? [part, ''] : [part.substring(0, index), part.substring(index + 1)];
+  });
+}
+
+/**
+ * The first captured request of an endpoint, redacted and ready to render:
+ * { method, url, headers: [[name, value]], cookies: [[name, value]], json, body, note }
+ */
+export function requestExample(endpoint, redactor) {
+  const request = endpoint.requests[0] || { headers: {} };
+  const headers = Object.entries(request.headers || {})
+    .filter(([name]) => !BROWSER_HEADERS.test(name) && name.toLowerCase() !== 'cookie')
+    .map(([name, value]) => [name, redactor.header(name, value)]);
+
+  const cookieHeader = getHeader(request.headers, 'cookie');
+  const cookies = (cookieHeader ? parseCookieHeader(cookieHeader) : (endpoint.cookies || []).map(c => [c.name, c.value]))
+    .map(([name, value]) => [name, redactor.cookie(name, value)]);
+
+  const example = {
+    method: endpoint.method,
+    url: redactor.text(endpoint.examples[0]?.url || endpoint.url),
+    headers,
+    cookies
+  };
+
+  // GET/HEAD carry everything in the URL (GraphQL GET, persisted queries); a body would make curl POST it
+  const payload = ['GET', 'HEAD'].includes(endpoint.method) ? undefined : endpoint.payloads[0];
+  const decoder = payload?.decoding?.decoder;
+  if (!payload) return example;
+
+  if (OPAQUE_DECODERS.has(decoder)) {
+    example.note = `${decoder} body not reproduced`;
+  } else if (payload.data !== undefined && !decoder) {
+    example.json = redactor.deep(payload.data);
+  } else {
+    // Form-encoded and other text bodies go out exactly as they were sent
+    example.body = redactor.text(String(request.postData ?? payload.raw ?? ''));
+  }
+
+  const size = example.json !== undefined ? JSON.stringify(example.json).length : (example.body || '').length;
+  if (size > MAX_BODY) {
+    example.note = `${size}-character body omitted, see the JSON report`;
+    delete example.json;
+    delete example.body;
+  }
+  return example;
+}
+
+// POSIX shell: single quotes, with embedded ones closed, escaped and reopened
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+export function curlSnippet(example) {
+  // -X HEAD makes curl wait for a body that never comes; -I sends a real HEAD
+  const method = { GET: '', HEAD: ' -I' }[example.method] ?? ` -X ${example.method}`;
+  const lines = [`curl${method} ${shellQuote(example.url)}`];
+  example.headers.forEach(([name, value]) => lines.push(`-H ${shellQuote(`${name}: ${value}`)}`));
+  if (example.cookies.length > 0) {
+    lines.push(`-b ${shellQuote(example.cookies.map(([name, value]) => `${name}=${value}`).join('; '))}`);
+  }
+  if (example.json !== undefined) lines.push(`--data-raw ${shellQuote(JSON.stringify(example.json))}`);
+  if (example.body !== undefined) lines.push(`--data-raw ${shellQuote(example.body)}`);
+
+  const command = lines.join(' \\\n  ');
+  return example.note ? `# ${example.note}\n${command}` : command;
+}
+
+// JSON string literals are valid Python string literals too
+function toPython(value, indent = '') {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'None';
+  if (typeof value === 'string') return JSON.stringify(value);
+
+  const inner = `${indent}    `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${inner}${toPython(item, inner)},`).join('\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${toPython(item, inner)},`).join('\n')}\n${indent}}`;
+}
+
+export function pythonSnippet(example) {
+  const method = example.method.toLowerCase();
+  const args = PYTHON_METHODS.has(method)
+    ? [JSON.stringify(example.url)]
+    : [JSON.stringify(example.method), JSON.stringify(example.url)];
+  if (example.headers.length > 0) {
+    args.push(`headers=${toPython(Object.fromEntries(example.headers), '    ')}`);
+  }
+  if (example.cookies.length > 0) {
+    args.push(`cookies=${toPython(Object.fromEntries(example.cookies), '    ')}`);
+  }
+  if (example.json !== undefined) args.push(`json=${toPython(example.json, '    ')}`);
+  if (example.body !== undefined) args.push(`data=${JSON.stringify(example.body)}`);
+
+  let code = 'import requests\n\n';
+  if (example.note) code += `# ${example.note}\n`;
+  code += `response = requests.${PYTHON_METHODS.has(method) ? method : 'request'}(\n`;
+  code += args.map(arg => `    ${arg},\n`).join('');
+  code += `)\n`;
+  code += `print(response.status_code, response.text[:500])`;
+  return code;
+}
+
+function indentLines(text, indent) {
+  return text.split('\n').map((line, i) => (i === 0 ? line : `${indent}${line}`)).join('\n');
+}
+
+export function fetchSnippet(example) {
+  const headers = [...example.headers];
+  if (example.cookies.length > 0) {
+    // Browsers drop a Cookie header; Node's fetch sends it
+    headers.push(['Cookie', example.cookies.map(([name, value]) => `${name}=${value}`).join('; ')]);
+  }
+
+  const options = [`  method: ${JSON.stringify(example.method)}`];
+  if (headers.length > 0) {
+    options.push(`  headers: {\n${headers.map(([name, value]) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`).join(',\n')}\n  }`);
+  }
+  if (example.json !== undefined) {
+    options.push(`  body: JSON.stringify(${indentLines(JSON.stringify(example.json, null, 2), '  ')})`);
+  }
+  if (example.body !== undefined) options.push(`  body: ${JSON.stringify(example.body)}`);
+
+  let code = example.note ? `// ${example.note}\n` : '';
+  code += `const response = await fetch(${JSON.stringify(example.url)}, {\n${options.join(',\n')}\n});\n`;
+  code += `console.log(response.status, await response.text());`;
+  return code;
+}
@@ -0,0 +1,86 @@
+/**
+ * Streaming Responses
+ * Incremental parsers for Server-Sent Events and JSON-lines bodies, fed either
+ * chunk by chunk from Network.dataReceived or with a whole body at the end
+ */
+
+// Content types whose bodies arrive as a sequence of events
+const STREAM_FORMATS = {
+  'text/event-stream': 'sse',
+  'application/x-ndjson': 'jsonl',
+  'application/ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'application/x-jsonlines': 'jsonl',
+  'application/json-seq': 'jsonl',
+  'application/stream+json': 'jsonl'
+};
+
+/**
+ * Stream format for a CDP response ('sse' | 'jsonl'), or null for ordinary bodies
+ */
+export function streamFormat(response) {
+  const mimeType = String(response?.mimeType || '').split(';')[0].trim().toLowerCase();
+  return STREAM_FORMATS[mimeType] || null;
+}
+
+export function parseEventData(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Turns text chunks into ordered events: { event, id, data }.
+ * `data` is parsed JSON when possible, the raw string otherwise.
+ */
+export class StreamParser {
+  constructor(format) {
+    this.format = format;
+    this.buffer = '';
+    this.pending = { event: null, id: null, data: [] };
+  }
+
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r\n|\r|\n/);
+    // The last piece may be a partial line
+    this.buffer = lines.pop();
+    return lines.flatMap(line => this.line(line));
+  }
+
+  end() {
+    const events = this.buffer ? this.line(this.buffer) : [];
+    this.buffer = '';
+    return this.format === 'sse' ? [...events, ...this.dispatch()] : events;
+  }
+
+  line(line) {
+    if (this.format !== 'sse') {
+      // json-seq records start with an RS character
+      const record = line.replace(/^\x1e/, '').trim();
+      return record ? [{ event: 'message', id: null, data: parseEventData(record) }] : [];
+    }
+
+    // A blank line ends the event
+    if (line === '') return this.dispatch();
+    if (line.startsWith(':')) return [];
+
+    const index = line.indexOf(':');
+    const field = index === -1 ? line : line.substring(0, index);
+    const value = index === -1 ? '' : line.substring(index + 1).replace(/^ /, '');
+
+    if (field === 'event') this.pending.event = value;
+    else if (field === 'id') this.pending.id = value;
+    else if (field === 'data') this.pending.data.push(value);
+    return [];
+  }
+
+  dispatch() {
+    const { event, id, data } = this.pending;
+    this.pending = { event: null, id: null, data: [] };
+    if (data.length === 0) return [];
+    return [{ event: event || 'message', id, data: parseEventData(data.join('\n')) }];
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * Capture Targets
+ * Every tab, popup, out-of-process iframe and worker is its own DevTools
+ * target with its own network events. Pages get a Playwright CDP session;
+ * their iframes and workers are auto-attached underneath, and their protocol
+ * messages are tunnelled through the parent session (Target.sendMessageToTarget).
+ *
+ * A target is described as { id, type, url, opener } where type is the
+ * DevTools target type: 'page', 'iframe', 'worker', 'service_worker',
+ * 'shared_worker', ...
+ */
+
+import { EventEmitter } from 'events';
+
+const SURFACE_NAMES = {
+  iframe: 'iframe',
+  worker: 'web worker',
+  service_worker: 'service worker',
+  shared_worker: 'shared worker'
+};
+
+/**
+ * A child target's session, speaking the same send()/on() interface as a
+ * Playwright CDPSession so the capture listeners don't care which one they get.
+ */
+export class TargetSession extends EventEmitter {
+  constructor(parent, sessionId) {
+    super();
+    this.parent = parent;
+    this.sessionId = sessionId;
+    this.nextId = 1;
+    this.pending = new Map(); // message id -> { resolve, reject }
+  }
+
+  send(method, params = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.parent.send('Target.sendMessageToTarget', {
+        sessionId: this.sessionId,
+        message: JSON.stringify({ id, method, params })
+      }).catch(e => {
+        this.pending.delete(id);
+        reject(e);
+      });
+    });
+  }
+
+  // A raw protocol message from Target.receivedMessageFromTarget
+  dispatch(message) {
+    const data = JSON.parse(message);
+    if (data.id === undefined) {
+      this.emit(data.method, data.params);
+      return;
+    }
+
+    const pending = this.pending.get(data.id);
+    if (!pending) return;
+    this.pending.delete(data.id);
+    if (data.error) {
+      pending.reject(new Error(`${data.error.message} (${this.sessionId})`));
+    } else {
+      pending.resolve(data.result);
+    }
+  }
+
+  detach() {
+    this.pending.forEach(({ reject }) => reject(new Error('Target detached')));
+    this.pending.clear();
+    this.removeAllListeners();
+  }
+}
+
+export function describeTarget(targetInfo) {
+  return {
+    id: targetInfo.targetId,
+    type: targetInfo.type,
+    url: targetInfo.url,
+    opener: targetInfo.openerId || null
+  };
+}
+
+function shortUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    return `${urlObj.origin}${urlObj.pathname}`;
+  } catch {
+    return url || '';
+  }
+}
+
+/**
+ * Where a request came from: { surface, url, frameId }. surface is 'page',
+ * 'popup', 'frame' (same-process iframe), 'iframe' (out-of-process) or a
+ * worker kind; url is the document (or worker script) that issued it.
+ */
+export function requestSource(target, params) {
+  const url = params.documentURL || target.url;
+  let surface = SURFACE_NAMES[target.type] || target.type;
+  if (target.type === 'page') {
+    // A page target's id is its main frame's id
+    if (params.frameId && params.frameId !== target.id) surface = 'frame';
+    else if (target.opener) surface = 'popup';
+  }
+  return { surface, url, frameId: params.frameId };
+}
+
+// 'page' for the top-level document, else the surface and where it lives
+export function surfaceLabel(source) {
+  return source.surface === 'page' ? 'page' : `${source.surface} ${shortUrl(source.url)}`;
+}
@@ -0,0 +1,120 @@
+/**
+ * tRPC Decoding
+ * Splits batched tRPC calls (/trpc/user.get,post.list?batch=1&input=...) into
+ * one entry per procedure with its decoded input, and pairs each with its slice
+ * of the batched response
+ */
+
+function parseJSON(value) {
+  if (typeof value !== 'string') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+// superjson-transformed payloads arrive as { json, meta }
+function unwrapSuperJSON(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'json' in value &&
+      Object.keys(value).every(key => key === 'json' || key === 'meta')) {
+    return value.json;
+  }
+  return value;
+}
+
+/**
+ * Recognize a tRPC request and describe each procedure call in it.
+ * Returns null for anything that isn't tRPC.
+ */
+export function parseTRPCRequest(request, urlObj) {
+  const match = urlObj.pathname.match(/^(.*\/trpc)\/([^/]+)$/);
+  if (!match) return null;
+
+  const [, base, procedurePart] = match;
+  let procedures;
+  try {
+    procedures = decodeURIComponent(procedurePart).split(',').filter(Boolean);
+  } catch {
+    // Malformed escape such as /trpc/%E0: not a procedure list
+    return null;
+  }
+  if (procedures.length === 0) return null;
+
+  const batched = urlObj.searchParams.get('batch') === '1' || procedures.length > 1;
+  // tRPC sends queries as GET and mutations as POST
+  const type = request.method === 'GET' ? 'query' : 'mutation';
+  const input = parseJSON(type === 'query' ? urlObj.searchParams.get('input') : request.postData);
+
+  return procedures.map((procedure, index) => {
+    const wrapped = batched ? input?.[index] : input;
+
+    // The same call made on its own, so each procedure has a standalone URL
+    const url = new URL(`${urlObj.origin}${base}/${procedure}`);
+    if (type === 'query' && wrapped !== undefined) {
+      url.searchParams.set('input', JSON.stringify(wrapped));
+    }
+
+    return {
+      kind: 'trpc',
+      procedure,
+      type,
+      path: `${base}/${procedure}`,
+      url: url.href,
+      input: unwrapSuperJSON(wrapped),
+      body: type === 'mutation' ? wrapped : undefined,
+      batchIndex: batched ? index : null
+    };
+  });
+}
+
+/**
+ * Unwrap one tRPC response item: { result: { data } } or { error }.
+ * Errors carry their own HTTP status inside batched responses.
+ */
+export function unwrapTRPCResult(item) {
+  if (item && typeof item === 'object' && item.error !== undefined) {
+    const error = unwrapSuperJSON(item.error);
+    return { error, status: error?.data?.httpStatus };
+  }
+  if (item && typeof item === 'object' && item.result !== undefined) {
+    return { output: unwrapSuperJSON(item.result.data) ?? null };
+  }
+  return { output: item ?? null };
+}
+
+/**
+ * Render tRPC procedures as a nested markdown list:
+ * routers are the dot-separated prefixes, leaves show query/mutation and route.
+ */
+export function renderProcedureTree(procedures) {
+  const root = { children: new Map(), calls: [] };
+
+  procedures.forEach(call => {
+    let node = root;
+    call.procedure.split('.').forEach(part => {
+      if (!node.children.has(part)) {
+        node.children.set(part, { children: new Map(), calls: [] });
+      }
+      node = node.children.get(part);
+    });
+    node.calls.push(call);
+  });
+
+  const lines = [];
+  const walk = (node, depth) => {
+    Array.from(node.children.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([name, child]) => {
+        const indent = '  '.repeat(depth);
+        const calls = child.calls
+          .map(call => `${call.type} · \`${call.method} ${call.path}\`${call.batched ? ' (batched)' : ''}`)
+          .join(', ');
+        lines.push(`${indent}- **${name}**${calls ? ` — ${calls}` : ''}`);
+        walk(child, depth + 1);
+      });
+  };
+  walk(root, 0);
+
+  return lines.join('\n');
+}
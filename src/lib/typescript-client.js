@@ -0,0 +1,320 @@
+/**
+ * TypeScript Client Generator
+ * Turns a capture into a dependency-free TypeScript module: one typed function
+ * per endpoint, request/response types rendered from the inferred JSON Schemas,
+ * templated path segments as function parameters, and a createClient() that
+ * takes the base URL and an auth hook. GraphQL operations send their captured
+ * document; tRPC procedures use the standard query/mutation wire format.
+ */
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const RESERVED = new Set(['delete', 'default', 'new', 'function', 'class', 'import', 'export', 'return', 'switch', 'case', 'in', 'do']);
+
+function endpointEntries(endpoints) {
+  if (!endpoints) return [];
+  return endpoints instanceof Map ? Array.from(endpoints.entries()) : Object.entries(endpoints);
+}
+
+function words(text) {
+  return String(text).split(/[^A-Za-z0-9]+/).filter(Boolean);
+}
+
+function camelCase(parts) {
+  return parts
+    .map((word, i) => (i === 0 ? word[0].toLowerCase() : word[0].toUpperCase()) + word.slice(1))
+    .join('');
+}
+
+function pascalCase(name) {
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+}
+
+function baseName(endpoint) {
+  if (endpoint.graphql) return camelCase(words(endpoint.graphql.operationName));
+  if (endpoint.trpc) return camelCase(words(endpoint.trpc.procedure));
+  // GET /api/users/{userId} -> getApiUsersByUserId
+  const parts = endpoint.path.split('/').filter(Boolean).flatMap(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    return param ? ['by', ...words(param[1])] : words(segment);
+  });
+  return camelCase([endpoint.method.toLowerCase(), ...parts]);
+}
+
+/**
+ * Client function name per endpoint key, unique within the capture.
+ */
+export function clientFunctionNames(endpoints) {
+  const names = new Map();
+  const used = new Set();
+  endpointEntries(endpoints).forEach(([key, endpoint]) => {
+    let base = baseName(endpoint) || 'call';
+    if (RESERVED.has(base) || /^\d/.test(base)) base = `call${pascalCase(base)}`;
+    let name = base;
+    let suffix = 2;
+    while (used.has(name)) {
+      name = `${base}${suffix++}`;
+    }
+    used.add(name);
+    names.set(key, name);
+  });
+  return names;
+}
+
+/**
+ * Render a JSON Schema (as produced by schema-inference.js) as a TypeScript type.
+ */
+export function schemaToType(schema, indent = '') {
+  if (!schema || Object.keys(schema).length === 0) return 'unknown';
+  if (schema.anyOf || schema.oneOf) {
+    return Array.from(new Set((schema.anyOf || schema.oneOf).map(variant => schemaToType(variant, indent)))).join(' | ');
+  }
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.map(type => {
+    switch (type) {
+      case 'string':
+        return 'string';
+      case 'integer':
+      case 'number':
+        return 'number';
+      case 'boolean':
+        return 'boolean';
+      case 'null':
+        return 'null';
+      case 'array': {
+        const items = schemaToType(schema.items, indent);
+        return /^[\w.]+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+      }
+      case 'object': {
+        const properties = Object.entries(schema.properties || {});
+        if (properties.length === 0) return 'Record<string, unknown>';
+        const required = new Set(schema.required || []);
+        const inner = `${indent}  `;
+        const lines = properties.map(([name, property]) => (
+          `${inner}${propertyKey(name)}${required.has(name) ? '' : '?'}: ${schemaToType(property, inner)};`
+        ));
+        return `{\n${lines.join('\n')}\n${indent}}`;
+      }
+      default:
+        return 'unknown';
+    }
+  }).join(' | ');
+}
+
+function declareType(name, schema) {
+  const type = schemaToType(schema);
+  return type.startsWith('{\n') ? `export interface ${name} ${type}\n` : `export type ${name} = ${type};\n`;
+}
+
+// The 2xx bodies a call resolves with (GraphQL: the whole { data, errors } envelope)
+function successSchemas(endpoint) {
+  return Object.entries(endpoint.schemas?.responses || {})
+    .filter(([status]) => /^2/.test(status))
+    .map(([, schema]) => schema);
+}
+
+function docComment(lines, indent) {
+  return `${indent}/**\n${lines.map(line => `${indent} * ${line.replace(/\*\//g, '*\\/')}`).join('\n')}\n${indent} */\n`;
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+}
+
+// Bodies that weren't JSON (or were decoded from another encoding) are passed through as-is
+function jsonBody(payload) {
+  return payload.data !== undefined && !payload.decoding;
+}
+
+function renderFunction(key, endpoint, name, typeNames, primaryOrigin) {
+  const params = [];
+  const pathParams = Array.from(endpoint.path.matchAll(/\{([^}]+)\}/g)).map(([, param]) => param);
+  pathParams.forEach(param => {
+    const kind = endpoint.pathParams?.[param]?.kind;
+    params.push(`${param}: ${kind === 'numeric' ? 'number | string' : 'string'}`);
+  });
+
+  const payload = (endpoint.payloads || [])[0];
+  const hasQuery = !endpoint.trpc && Object.keys(endpoint.query || {}).length > 0;
+  // Endpoints on other hosts than the captured site keep their origin; the rest follow baseUrl
+  const origin = originOf(endpoint.url);
+  const host = origin && origin !== primaryOrigin ? origin : '';
+  const path = `\`${host}${endpoint.path.replace(/\{([^}]+)\}/g, (_, param) => `\${encodeURIComponent(String(${param}))}`)}\``;
+  const options = [];
+  let call;
+
+  if (endpoint.graphql) {
+    const { operationName, query, persistedQuery } = endpoint.graphql;
+    params.push(`variables: ${typeNames.request || 'Record<string, unknown>'}${typeNames.request ? '' : ' = {}'}`);
+    // Persisted queries were captured as their sha256 hash
+    if (endpoint.method === 'GET') {
+      // GET operations travel in the query string, with variables and extensions JSON-encoded
+      const extensions = JSON.stringify({ persistedQuery: { version: 1, sha256Hash: persistedQuery } });
+      const document = query ? `query: ${JSON.stringify(query)}` : `extensions: ${JSON.stringify(extensions)}`;
+      call = `request<${typeNames.response}>('GET', ${path}, { query: { operationName: ${JSON.stringify(operationName)}, ${document}, variables: JSON.stringify(variables) } })`;
+    } else {
+      const document = query
+        ? `query: ${JSON.stringify(query)}`
+        : `extensions: { persistedQuery: { version: 1, sha256Hash: ${JSON.stringify(persistedQuery)} } }`;
+      call = `request<${typeNames.response}>('${endpoint.method}', ${path}, { body: { operationName: ${JSON.stringify(operationName)}, ${document}, variables } })`;
+    }
+  } else if (endpoint.trpc) {
+    params.push(`input${typeNames.request ? '' : '?'}: ${typeNames.request || 'unknown'}`);
+    const wire = endpoint.trpc.type === 'query'
+      ? `query: input === undefined ? undefined : { input: JSON.stringify(input) }`
+      : 'body: input';
+    call = `request<TRPCEnvelope<${typeNames.response}>>('${endpoint.method}', ${path}, { ${wire} }).then(unwrapTRPC)`;
+  } else {
+    if (payload) {
+      const json = jsonBody(payload);
+      params.push(`body: ${json ? typeNames.request || 'unknown' : 'BodyInit'}`);
+      options.push(json ? 'body' : 'rawBody: body');
+    }
+    if (hasQuery) {
+      params.push(`query?: ${typeNames.query}`);
+      options.push('query');
+    }
+    call = `request<${typeNames.response}>('${endpoint.method}', ${path}${options.length > 0 ? `, { ${options.join(', ')} }` : ''})`;
+  }
+
+  const doc = [
+    `${key}`,
+    ...(endpoint.unsent && (endpoint.responses || []).length === 0 ? ['Observed, not sent (read-only capture): response type unknown'] : [])
+  ];
+  return `${docComment(doc, '    ')}    ${name}: (${params.join(', ')}) =>\n      ${call},\n`;
+}
+
+/**
+ * Generate the TypeScript client source from a capture (engine Map or
+ * endpoints-*.json with rendered `schemas`).
+ */
+export function generateTypeScriptClient(capture, options = {}) {
+  const entries = endpointEntries(capture.endpoints);
+  const names = clientFunctionNames(capture.endpoints);
+  const origins = entries.map(([, endpoint]) => originOf(endpoint.url)).filter(Boolean);
+  const primaryOrigin = origins.find(origin => new URL(origin).hostname === capture.domain) || origins[0] || '';
+  const baseUrl = options.baseUrl || primaryOrigin;
+  const authHeaders = new Set();
+  entries.forEach(([, endpoint]) => (endpoint.tokens || []).forEach(token => {
+    const name = token.substring(0, token.indexOf('='));
+    if (name && !name.includes('.')) authHeaders.add(name);
+  }));
+
+  let types = '';
+  let functions = '';
+  entries.forEach(([key, endpoint]) => {
+    const name = names.get(key);
+    const typeName = pascalCase(name);
+    const typeNames = {};
+
+    // Methods taking a form or raw body (BodyInit) have no use for the request type
+    const payload = (endpoint.payloads || [])[0];
+    if (endpoint.schemas?.request && (endpoint.graphql || endpoint.trpc || (payload && jsonBody(payload)))) {
+      typeNames.request = `${typeName}${endpoint.graphql ? 'Variables' : endpoint.trpc ? 'Input' : 'Request'}`;
+      types += declareType(typeNames.request, endpoint.schemas.request);
+    }
+    if (Object.keys(endpoint.query || {}).length > 0 && !endpoint.trpc && !endpoint.graphql) {
+      typeNames.query = `${typeName}Query`;
+      // A type alias, not an interface, so it fits RequestOptions['query']
+      const lines = Object.keys(endpoint.query).map(param => `  ${propertyKey(param)}?: string;`);
+      types += `export type ${typeNames.query} = {\n${lines.join('\n')}\n};\n`;
+    }
+    const responses = successSchemas(endpoint);
+    typeNames.response = `${typeName}Response`;
+    types += declareType(typeNames.response, responses.length === 1 ? responses[0] : responses.length > 1 ? { anyOf: responses } : null);
+    types += '\n';
+
+    functions += renderFunction(key, endpoint, name, typeNames, primaryOrigin);
+  });
+
+  const observedAuth = authHeaders.size > 0
+    ? ` * Auth headers seen during capture: ${Array.from(authHeaders).join(', ')}.\n`
+    : '';
+
+  return `/**
+ * Typed client for ${capture.domain || 'the captured API'}, generated from endpoints captured${capture.capturedAt ? ` at ${capture.capturedAt}` : ''}.
+ * Types are inferred from observed traffic, so fields never seen are missing.
+${observedAuth} */
+
+export interface ClientOptions {
+  /** Default: ${baseUrl || 'none'} */
+  baseUrl?: string;
+  /** Headers added to every request, e.g. () => ({ Authorization: \`Bearer \${token}\` }) */
+  auth?: () => Record<string, string> | Promise<Record<string, string>>;
+  fetch?: typeof fetch;
+}
+
+export class ApiError extends Error {
+  status: number;
+  body: unknown;
+
+  constructor(status: number, body: unknown) {
+    super(\`Request failed with status \${status}\`);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+interface RequestOptions {
+  query?: Record<string, string | undefined>;
+  body?: unknown;
+  rawBody?: BodyInit;
+}
+
+type TRPCEnvelope<T> = { result: { data: T | { json: T } } };
+
+// superjson-transformed results arrive as { json, meta }
+function unwrapTRPC<T>(envelope: TRPCEnvelope<T>): T {
+  const data = envelope.result.data as { json?: T };
+  return data && typeof data === 'object' && 'json' in data ? (data.json as T) : (envelope.result.data as T);
+}
+
+${types}export function createClient(options: ClientOptions = {}) {
+  const baseUrl = options.baseUrl ?? ${JSON.stringify(baseUrl)};
+  const fetchImpl = options.fetch ?? fetch;
+
+  async function request<T>(method: string, path: string, { query, body, rawBody }: RequestOptions = {}): Promise<T> {
+    const url = new URL(path, baseUrl);
+    Object.entries(query || {}).forEach(([name, value]) => {
+      if (value !== undefined) url.searchParams.set(name, value);
+    });
+    const headers: Record<string, string> = { Accept: 'application/json', ...(await options.auth?.()) };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetchImpl(url, {
+      method,
+      headers,
+      body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body)),
+    });
+    const text = await response.text();
+    let data: unknown = text;
+    try {
+      data = text ? JSON.parse(text) : undefined;
+    } catch {
+      // Not JSON - returned as text
+    }
+    if (!response.ok) throw new ApiError(response.status, data);
+    return data as T;
+  }
+
+  return {
+${functions}  };
+}
+
+export type Client = ReturnType<typeof createClient>;
+`;
+}
+
+export function typescriptClientFilename(domain) {
+  return `client-${domain.replace(/\./g, '-')}.ts`;
+}
@@ -0,0 +1,53 @@
+/**
+ * WebSocket Frame Parsing
+ * Turns raw CDP frames into message types: JSON frames are keyed by their
+ * type/event/op discriminator, Socket.IO packets by event name
+ */
+
+const DISCRIMINATORS = ['type', 'event', 'op'];
+const MAX_TEXT_LENGTH = 500;
+
+// Engine.IO control packets carry no JSON
+const ENGINE_IO_PACKETS = { 0: 'open', 1: 'close', 2: 'ping', 3: 'pong', 6: 'noop', 40: 'connect', 41: 'disconnect' };
+
+/**
+ * Parse a CDP WebSocketFrame ({ opcode, payloadData }).
+ * Returns { name, discriminator, data, text } where data is the parsed JSON
+ * message (undefined for text and binary frames).
+ */
+export function parseFrame(frame) {
+  const { opcode, payloadData = '' } = frame || {};
+
+  if (opcode === 2) {
+    // payloadData is base64 for binary frames
+    return { name: 'binary', discriminator: null, data: undefined, text: `<${Math.floor(payloadData.length * 3 / 4)} bytes>` };
+  }
+
+  const text = payloadData.substring(0, MAX_TEXT_LENGTH);
+
+  if (/^\d+$/.test(payloadData)) {
+    return { name: ENGINE_IO_PACKETS[payloadData] || payloadData, discriminator: 'engine.io', data: undefined, text };
+  }
+
+  // Socket.IO frames look like 42["event",{...}] or 0{"sid":...}
+  const prefix = payloadData.match(/^\d+(?=[[{])/);
+  let data;
+  try {
+    data = JSON.parse(prefix ? payloadData.substring(prefix[0].length) : payloadData);
+  } catch {
+    return { name: 'text', discriminator: null, data: undefined, text };
+  }
+
+  if (prefix && Array.isArray(data) && typeof data[0] === 'string') {
+    return { name: data[0], discriminator: 'socket.io', data: data.length === 2 ? data[1] : data.slice(1), text };
+  }
+
+  if (data && typeof data === 'object' && !Array.isArray(data)) {
+    const field = DISCRIMINATORS.find(key => data[key] !== undefined && data[key] !== null && typeof data[key] !== 'object');
+    if (field) {
+      return { name: String(data[field]), discriminator: field, data, text };
+    }
+  }
+
+  return { name: 'message', discriminator: null, data, text };
+}
@@ -0,0 +1,113 @@
+/**
+ * Page Discovery Plugin
+ * Finds same-domain URLs in API responses and maps endpoints to the pages they reveal
+ */
+
+export class PageDiscoveryPlugin {
+  constructor() {
+    this.name = 'page-discovery';
+    this.discoveredPages = new Set();
+    this.endpointToPages = new Map(); // Track which endpoints lead to which pages
+  }
+
+  onRequest({ engine, endpoint, request }) {
+    if (!endpoint.discoveredPages) {
+      endpoint.discoveredPages = new Set();
+    }
+    request.currentPage = engine.page ? engine.page.url() : null;
+  }
+
+  onBody({ engine, endpoint, body }) {
+    if (body !== undefined) {
+      this.analyzeResponseForPages(engine.domain, body, endpoint);
+    }
+  }
+
+  analyzeResponseForPages(domain, data, endpoint) {
+    if (!data || typeof data !== 'object') return;
+
+    // Look for URLs in the response
+    const findUrls = (obj, path = '') => {
+      for (const [key, value] of Object.entries(obj)) {
+        if (typeof value === 'string') {
+          // Check if it's a URL or path
+          if (value.startsWith('http') || value.startsWith('/')) {
+            try {
+              const url = value.startsWith('http') ? value : `https://${domain}${value}`;
+              const urlObj = new URL(url);
+
+              // If it's on our domain and not discovered yet
+              if (urlObj.hostname === domain && !this.discoveredPages.has(url)) {
+                console.log(`🔍 Discovered new page from API: ${url}`);
+                this.discoveredPages.add(url);
+                endpoint.discoveredPages.add(url);
+
+                // Map endpoint to page
+                if (!this.endpointToPages.has(endpoint.path)) {
+                  this.endpointToPages.set(endpoint.path, new Set());
+                }
+                this.endpointToPages.get(endpoint.path).add(url);
+              }
+            } catch {}
+          }
+        } else if (value && typeof value === 'object') {
+          findUrls(value, `${path}${key}.`);
+        } else if (Array.isArray(value)) {
+          value.forEach((item, i) => {
+            if (typeof item === 'object') {
+              findUrls(item, `${path}${key}[${i}].`);
+            }
+          });
+        }
+      }
+    };
+
+    findUrls(data);
+  }
+
+  onReport(report) {
+    report.summary.push(`**Discovered Pages:** ${this.discoveredPages.size}`);
+
+    let md = '';
+
+    // Discovered pages from API responses
+    if (this.discoveredPages.size > 0) {
+      md += `## 📄 Discovered Pages\n\n`;
+      md += `These pages were discovered through API responses:\n\n`;
+      Array.from(this.discoveredPages).forEach(page => {
+        md += `- ${page}\n`;
+      });
+      md += `\n`;
+    }
+
+    // Endpoint to pages mapping
+    if (this.endpointToPages.size > 0) {
+      md += `## 🔗 Endpoint → Page Mapping\n\n`;
+      md += `Shows which endpoints reveal which pages:\n\n`;
+      this.endpointToPages.forEach((pages, endpoint) => {
+        md += `**${endpoint}** leads to:\n`;
+        pages.forEach(page => {
+          md += `  - ${page}\n`;
+        });
+        md += `\n`;
+      });
+    }
+
+    report.sections.push(md);
+
+    // Discovered pages from each endpoint
+    report.endpointDetails.push(endpoint => {
+      if (!endpoint.discoveredPages || endpoint.discoveredPages.size === 0) return '';
+      let detail = `**Discovered Pages:**\n`;
+      endpoint.discoveredPages.forEach(page => {
+        detail += `- ${page}\n`;
+      });
+      return detail + `\n`;
+    });
+
+    report.json.discoveredPages = Array.from(this.discoveredPages);
+    report.json.endpointToPages = Object.fromEntries(
+      Array.from(this.endpointToPages.entries()).map(([k, v]) => [k, Array.from(v)])
+    );
+  }
+}
@@ -4,405 +4,42 @@
  * Captures EVERYTHING + navigates the site automatically
  */
 
-import { chromium } from 'playwright';
-import fs from 'fs/promises';
-import { URL } from 'url';
+import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
-
-class ComprehensiveCaptureCommander {
-  constructor(debugPort) {
-    this.debugPort = debugPort;
-    this.endpoints = new Map();
-    this.domain = null;
-    this.cdpClient = null;
-    this.authTokens = new Map();
-    this.cookies = new Map();
+import { CaptureEngine } from '../lib/capture-engine.js';
+import { redactionFromArgs } from '../lib/redaction.js';
+import { protosFromArgs } from '../lib/body-decoders.js';
+import { scopeFromArgs } from '../lib/scope.js';
+import { readOnlyFromArgs } from '../lib/read-only.js';
+import { browserFromArgs } from '../lib/browser-connection.js';
+import { sessionFromArgs } from '../lib/capture-session.js';
+import { describeCandidates, clickCandidates, guardFromArgs } from '../lib/interaction-guard.js';
+import { PageDiscoveryPlugin } from '../plugins/page-discovery.js';
+
+export class ComprehensiveCaptureCommander extends CaptureEngine {
+  constructor(browser, options = {}) {
+    super(browser, { ...options, name: 'Comprehensive Capture Commander' });
     this.clickedElements = new Set();
-    this.discoveredPages = new Set();
-    this.endpointToPages = new Map(); // Track which endpoints lead to which pages
-  }
-
-  async connect() {
-    console.log(`🎯 Connecting to AdsPower on port ${this.debugPort}...`);
-    this.browser = await chromium.connectOverCDP(`http://127.0.0.1:${this.debugPort}`);
-    this.context = this.browser.contexts()[0];
     
-    const pages = this.context.pages();
-    this.page = pages.length > 0 ? pages[0] : await this.context.newPage();
-    
-    // Setup Chrome DevTools Protocol
-    this.cdpClient = await this.page.context().newCDPSession(this.page);
-    await this.setupCapture();
+    // Page discovery runs through the engine hooks
+    this.pageDiscovery = this.use(new PageDiscoveryPlugin());
+    this.discoveredPages = this.pageDiscovery.discoveredPages;
+    this.endpointToPages = this.pageDiscovery.endpointToPages;
   }
 
-  async setupCapture() {
-    await this.cdpClient.send('Network.enable');
-    await this.cdpClient.send('Page.enable');
-    await this.cdpClient.send('Runtime.enable');
-    
-    // Enable request/response interception for COMPLETE capture
-    await this.cdpClient.send('Fetch.enable', {
-      patterns: [{ urlPattern: '*' }]
-    });
-    
-    // Capture network events
-    this.cdpClient.on('Network.requestWillBeSentExtraInfo', (params) => {
-      this.captureRequestHeaders(params);
-    });
-    
-    this.cdpClient.on('Network.responseReceivedExtraInfo', (params) => {
-      this.captureResponseHeaders(params);
-    });
-    
-    this.cdpClient.on('Network.requestWillBeSent', (params) => {
-      this.captureRequest(params);
-    });
-    
-    this.cdpClient.on('Network.responseReceived', (params) => {
-      this.captureResponse(params);
-    });
-    
-    this.cdpClient.on('Network.loadingFinished', async (params) => {
-      await this.captureResponseBody(params);
-    });
-    
-    // Continue all requests
-    this.cdpClient.on('Fetch.requestPaused', async (params) => {
-      await this.cdpClient.send('Fetch.continueRequest', {
-        requestId: params.requestId
-      });
-    });
+  // Elements clicked and pages visited in earlier runs of a session aren't revisited
+  exportSessionState() {
+    return { clickedElements: Array.from(this.clickedElements) };
   }
 
-  captureRequest(params) {
-    const { request, requestId, type, initiator } = params;
-    const url = request.url;
-    
-    // Filter only Fetch/XHR requests
-    if (type !== 'Fetch' && type !== 'XHR') return;
-    
-    // Skip non-HTTP URLs
-    if (!url.startsWith('http')) return;
-    
-    try {
-      const urlObj = new URL(url);
-      
-      // Set domain on first API request
-      if (!this.domain && (url.includes('/api/') || url.includes('/trpc/'))) {
-        this.domain = urlObj.hostname;
-        console.log(`🌐 Target domain: ${this.domain}`);
-      }
-      
-      // Create unique key
-      const key = `${request.method} ${urlObj.pathname}${urlObj.search}`;
-      
-      if (!this.endpoints.has(key)) {
-        this.endpoints.set(key, {
-          method: request.method,
-          url: url,
-          path: urlObj.pathname,
-          query: Object.fromEntries(urlObj.searchParams),
-          requests: [],
-          responses: [],
-          headers: {},
-          cookies: [],
-          tokens: new Set(),
-          payloads: [],
-          previewData: [],
-          timing: [],
-          discoveredPages: new Set()
-        });
-      }
-      
-      const endpoint = this.endpoints.get(key);
-      
-      // Capture request details
-      const requestData = {
-        requestId,
-        timestamp: new Date().toISOString(),
-        headers: request.headers,
-        postData: request.postData,
-        hasUserGesture: request.hasUserGesture,
-        initiator: initiator?.type || 'unknown',
-        currentPage: this.page.url()
-      };
-      
-      endpoint.requests.push(requestData);
-      
-      // Extract tokens from headers
-      this.extractTokensFromHeaders(request.headers, endpoint);
-      
-      // Capture POST data
-      if (request.postData) {
-        try {
-          const parsed = JSON.parse(request.postData);
-          endpoint.payloads.push({
-            timestamp: requestData.timestamp,
-            data: parsed
-          });
-          this.extractTokensFromPayload(parsed, endpoint);
-        } catch {
-          endpoint.payloads.push({
-            timestamp: requestData.timestamp,
-            raw: request.postData
-          });
-        }
-      }
-      
-    } catch (e) {
-      console.error('Error capturing request:', e);
-    }
-  }
-
-  captureRequestHeaders(params) {
-    const { requestId, headers, associatedCookies } = params;
-    
-    // Store headers for request
-    if (headers) {
-      for (const [_, endpoint] of this.endpoints) {
-        const request = endpoint.requests.find(r => r.requestId === requestId);
-        if (request) {
-          // Merge with extra headers
-          Object.assign(request.headers, headers);
-          
-          // Capture cookies sent
-          if (associatedCookies && associatedCookies.length > 0) {
-            endpoint.cookies = associatedCookies.map(c => ({
-              name: c.cookie.name,
-              value: c.cookie.value.substring(0, 50) + '...',
-              domain: c.cookie.domain,
-              path: c.cookie.path
-            }));
-          }
-          break;
-        }
-      }
-    }
-  }
-
-  captureResponse(params) {
-    const { response, requestId, type } = params;
-    
-    if (type !== 'Fetch' && type !== 'XHR') return;
-    
-    // Find matching endpoint
-    for (const [_, endpoint] of this.endpoints) {
-      const request = endpoint.requests.find(r => r.requestId === requestId);
-      if (request) {
-        endpoint.responses.push({
-          requestId,
-          timestamp: new Date().toISOString(),
-          status: response.status,
-          statusText: response.statusText,
-          headers: response.headers,
-          mimeType: response.mimeType,
-          fromCache: response.fromCache
-        });
-        break;
-      }
-    }
-  }
-
-  captureResponseHeaders(params) {
-    const { requestId, headers, statusCode } = params;
-    
-    // Update response with extra headers
-    for (const [_, endpoint] of this.endpoints) {
-      const response = endpoint.responses.find(r => r.requestId === requestId);
-      if (response) {
-        response.extraHeaders = headers;
-        response.statusCode = statusCode;
-        
-        // Extract tokens from response headers
-        this.extractTokensFromHeaders(headers, endpoint);
-        break;
-      }
-    }
-  }
-
-  async captureResponseBody(params) {
-    const { requestId } = params;
-    
-    try {
-      const response = await this.cdpClient.send('Network.getResponseBody', { requestId });
-      
-      // Find matching endpoint
-      for (const [_, endpoint] of this.endpoints) {
-        const resp = endpoint.responses.find(r => r.requestId === requestId);
-        if (resp) {
-          if (!response.base64Encoded) {
-            try {
-              const parsed = JSON.parse(response.body);
-              resp.body = parsed;
-              
-              // Extract preview data (first 200 chars or key fields)
-              const preview = this.extractPreviewData(parsed);
-              endpoint.previewData.push({
-                timestamp: resp.timestamp,
-                preview,
-                fullDataAvailable: true
-              });
-              
-              // Extract tokens from response
-              this.extractTokensFromPayload(parsed, endpoint);
-              
-              // ANALYZE RESPONSE FOR DISCOVERABLE PAGES
-              this.analyzeResponseForPages(parsed, endpoint);
-              
-            } catch {
-              resp.bodyText = response.body.substring(0, 500);
-              endpoint.previewData.push({
-                timestamp: resp.timestamp,
-                preview: resp.bodyText.substring(0, 200) + '...',
-                fullDataAvailable: false
-              });
-            }
-          }
-          break;
-        }
-      }
-    } catch (e) {
-      // Body might not be available
-    }
-  }
-
-  analyzeResponseForPages(data, endpoint) {
-    if (!data || typeof data !== 'object') return;
-    
-    // Look for URLs in the response
-    const findUrls = (obj, path = '') => {
-      for (const [key, value] of Object.entries(obj)) {
-        if (typeof value === 'string') {
-          // Check if it's a URL or path
-          if (value.startsWith('http') || value.startsWith('/')) {
-            try {
-              const url = value.startsWith('http') ? value : `https://${this.domain}${value}`;
-              const urlObj = new URL(url);
-              
-              // If it's on our domain and not discovered yet
-              if (urlObj.hostname === this.domain && !this.discoveredPages.has(url)) {
-                console.log(`🔍 Discovered new page from API: ${url}`);
-                this.discoveredPages.add(url);
-                endpoint.discoveredPages.add(url);
-                
-                // Map endpoint to page
-                if (!this.endpointToPages.has(endpoint.path)) {
-                  this.endpointToPages.set(endpoint.path, new Set());
-                }
-                this.endpointToPages.get(endpoint.path).add(url);
-              }
-            } catch {}
-          }
-        } else if (value && typeof value === 'object') {
-          findUrls(value, `${path}${key}.`);
-        } else if (Array.isArray(value)) {
-          value.forEach((item, i) => {
-            if (typeof item === 'object') {
-              findUrls(item, `${path}${key}[${i}].`);
-            }
-          });
-        }
-      }
-    };
-    
-    findUrls(data);
-  }
-
-  extractTokensFromHeaders(headers, endpoint) {
-    if (!headers) return;
-    
-    const tokenHeaders = [
-      'authorization', 'x-auth-token', 'x-csrf-token', 'x-api-key',
-      'x-access-token', 'x-session-token', 'cookie'
-    ];
-    
-    for (const [key, value] of Object.entries(headers)) {
-      const lowerKey = key.toLowerCase();
-      if (tokenHeaders.includes(lowerKey)) {
-        if (lowerKey === 'cookie') {
-          // Parse cookies
-          const cookies = value.split(';').map(c => c.trim());
-          cookies.forEach(cookie => {
-            const [name, val] = cookie.split('=');
-            if (name && val) {
-              endpoint.tokens.add(`cookie.${name}=${val.substring(0, 30)}...`);
-            }
-          });
-        } else {
-          endpoint.tokens.add(`${key}=${value.substring(0, 50)}...`);
-        }
-      }
-    }
-  }
-
-  extractTokensFromPayload(payload, endpoint) {
-    if (!payload || typeof payload !== 'object') return;
-    
-    const tokenKeys = ['token', 'access_token', 'refresh_token', 'api_key', 'session_id', 'auth'];
-    
-    const searchObject = (obj, path = '') => {
-      for (const [key, value] of Object.entries(obj)) {
-        if (tokenKeys.some(tk => key.toLowerCase().includes(tk)) && typeof value === 'string') {
-          endpoint.tokens.add(`payload.${path}${key}=${value.substring(0, 30)}...`);
-        }
-        if (value && typeof value === 'object' && !Array.isArray(value)) {
-          searchObject(value, `${path}${key}.`);
-        }
-      }
-    };
-    
-    searchObject(payload);
-  }
-
-  extractPreviewData(data) {
-    if (!data || typeof data !== 'object') return JSON.stringify(data).substring(0, 200);
-    
-    // Smart preview extraction
-    const preview = {};
-    const importantKeys = ['id', 'name', 'title', 'message', 'data', 'results', 'items', 'status', 'error'];
-    
-    for (const key of importantKeys) {
-      if (data[key] !== undefined) {
-        if (typeof data[key] === 'string') {
-          preview[key] = data[key].substring(0, 100);
-        } else if (Array.isArray(data[key])) {
-          preview[key] = `Array(${data[key].length})`;
-          if (data[key].length > 0) {
-            preview[`${key}[0]`] = typeof data[key][0] === 'object' 
-              ? '{...}' 
-              : String(data[key][0]).substring(0, 50);
-          }
-        } else if (typeof data[key] === 'object') {
-          preview[key] = '{...}';
-        } else {
-          preview[key] = data[key];
-        }
-      }
-    }
-    
-    // If no important keys found, just show first few keys
-    if (Object.keys(preview).length === 0) {
-      Object.entries(data).slice(0, 5).forEach(([key, value]) => {
-        preview[key] = typeof value === 'object' ? '{...}' : String(value).substring(0, 50);
-      });
-    }
-    
-    return preview;
+  importSessionState(state) {
+    (state.clickedElements || []).forEach(key => this.clickedElements.add(key));
   }
 
   async performCapture(targetUrl, duration = 30000) {
     console.log(`\n🚀 Starting comprehensive capture with navigation on ${targetUrl}...\n`);
     
-    this.domain = new URL(targetUrl).hostname;
-    
-    // Navigate to target
-    await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded' });
-    
-    // Get initial cookies
-    const cookies = await this.page.context().cookies();
-    cookies.forEach(cookie => {
-      this.cookies.set(cookie.name, cookie);
-    });
+    await this.openTarget(targetUrl);
     
     const startTime = Date.now();
     let actionsPerformed = 0;
@@ -421,6 +58,7 @@ class ComprehensiveCaptureCommander {
           try {
             await this.page.goto(nextPage, { waitUntil: 'domcontentloaded', timeout: 10000 });
             this.clickedElements.add(nextPage);
+            this.recordInteraction('navigate', { url: nextPage });
             await this.page.waitForTimeout(2000);
           } catch (e) {
             console.log(`⚠️ Failed to navigate to ${nextPage}`);
@@ -439,68 +77,16 @@ class ComprehensiveCaptureCommander {
 
   async smartInteractWithPage() {
     try {
-      // Get all clickable elements
-      const clickableElements = await this.page.evaluate(() => {
-        const elements = [];
-        
-        // Buttons
-        document.querySelectorAll('button:not([disabled])').forEach(btn => {
-          const rect = btn.getBoundingClientRect();
-          if (rect.width > 0 && rect.height > 0) {
-            elements.push({
-              type: 'button',
-              text: btn.textContent.trim().substring(0, 50),
-              selector: btn.className || btn.id || 'button',
-              x: rect.x + rect.width / 2,
-              y: rect.y + rect.height / 2
-            });
-          }
-        });
-        
+      // Get all clickable elements, minus anything the guard won't let us touch
+      const clickableElements = this.guard.filter(await this.page.evaluate(describeCandidates, [
+        { type: 'button', selector: 'button:not([disabled])' },
         // Links that might be API triggers
-        document.querySelectorAll('a[href^="#"], a[onclick], a[data-href]').forEach(link => {
-          const rect = link.getBoundingClientRect();
-          if (rect.width > 0 && rect.height > 0) {
-            elements.push({
-              type: 'link',
-              text: link.textContent.trim().substring(0, 50),
-              href: link.href,
-              x: rect.x + rect.width / 2,
-              y: rect.y + rect.height / 2
-            });
-          }
-        });
-        
+        { type: 'link', selector: 'a[href^="#"], a[onclick], a[data-href]' },
         // Clickable divs/spans
-        document.querySelectorAll('[onclick], [role="button"], [tabindex="0"]').forEach(el => {
-          if (!el.matches('button, a')) {
-            const rect = el.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              elements.push({
-                type: 'clickable',
-                text: el.textContent.trim().substring(0, 50),
-                x: rect.x + rect.width / 2,
-                y: rect.y + rect.height / 2
-              });
-            }
-          }
-        });
-        
+        { type: 'clickable', selector: '[onclick], [role="button"], [tabindex="0"]', exclude: 'button, a' },
         // Dropdowns and menus
-        document.querySelectorAll('[aria-haspopup="true"], .dropdown-toggle, [data-toggle="dropdown"]').forEach(dropdown => {
-          const rect = dropdown.getBoundingClientRect();
-          if (rect.width > 0 && rect.height > 0) {
-            elements.push({
-              type: 'dropdown',
-              text: dropdown.textContent.trim().substring(0, 50),
-              x: rect.x + rect.width / 2,
-              y: rect.y + rect.height / 2
-            });
-          }
-        });
-        
-        return elements;
-      });
+        { type: 'dropdown', selector: '[aria-haspopup="true"], .dropdown-toggle, [data-toggle="dropdown"]' }
+      ]), this.page.url());
       
       // Filter out already clicked elements
       const unclickedElements = clickableElements.filter(el => {
@@ -513,315 +99,63 @@ class ComprehensiveCaptureCommander {
         const element = unclickedElements[Math.floor(Math.random() * Math.min(3, unclickedElements.length))];
         const key = `${element.type}-${element.text}-${element.x}-${element.y}`;
         
-        console.log(`🖱️ Clicking ${element.type}: "${element.text}"`);
-        await this.page.mouse.click(element.x, element.y);
+        // The node the guard approved, not whatever sits at its old position by now
+        const clicked = await this.page.evaluate(clickCandidates, [element]);
         this.clickedElements.add(key);
-        
-        // Wait for potential API calls
-        await this.page.waitForTimeout(1000);
+        if (clicked > 0) {
+          console.log(`🖱️ Clicked ${element.type}: "${element.text}"`);
+          this.recordInteraction('click', element);
+          
+          // Wait for potential API calls
+          await this.page.waitForTimeout(1000);
+        }
       }
       
       // Also scroll to trigger lazy loading
       await this.page.evaluate(() => {
         window.scrollBy(0, window.innerHeight * 0.5);
       });
+      this.recordInteraction('scroll');
       
     } catch (e) {
       console.error('Error in smart interaction:', e);
     }
   }
-
-  generateMarkdown() {
-    const timestamp = new Date().toISOString();
-    const filename = `endpoints-${this.domain.replace(/\./g, '-')}.md`;
-    
-    let md = `# 📡 API Endpoints Documentation\n\n`;
-    md += `**Domain:** ${this.domain}  \n`;
-    md += `**Captured:** ${timestamp}  \n`;
-    md += `**Total Endpoints:** ${this.endpoints.size}  \n`;
-    md += `**Discovered Pages:** ${this.discoveredPages.size}  \n\n`;
-    
-    // Global auth tokens
-    const allTokens = new Set();
-    this.endpoints.forEach(ep => {
-      ep.tokens.forEach(token => allTokens.add(token));
-    });
-    
-    if (allTokens.size > 0) {
-      md += `## 🔐 Authentication Tokens\n\n`;
-      md += `\`\`\`\n`;
-      Array.from(allTokens).forEach(token => {
-        md += `${token}\n`;
-      });
-      md += `\`\`\`\n\n`;
-    }
-    
-    // Session cookies
-    if (this.cookies.size > 0) {
-      md += `## 🍪 Important Cookies\n\n`;
-      md += `| Name | Domain | Value (truncated) |\n`;
-      md += `|------|--------|------------------|\n`;
-      
-      Array.from(this.cookies.values())
-        .filter(c => c.httpOnly || c.name.includes('session') || c.name.includes('auth'))
-        .slice(0, 10)
-        .forEach(cookie => {
-          const value = cookie.value ? cookie.value.substring(0, 30) + '...' : 'N/A';
-          md += `| ${cookie.name} | ${cookie.domain} | ${value} |\n`;
-        });
-      md += `\n`;
-    }
-    
-    // Discovered pages from API responses
-    if (this.discoveredPages.size > 0) {
-      md += `## 📄 Discovered Pages\n\n`;
-      md += `These pages were discovered through API responses:\n\n`;
-      Array.from(this.discoveredPages).forEach(page => {
-        md += `- ${page}\n`;
-      });
-      md += `\n`;
-    }
-    
-    // Endpoint to pages mapping
-    if (this.endpointToPages.size > 0) {
-      md += `## 🔗 Endpoint → Page Mapping\n\n`;
-      md += `Shows which endpoints reveal which pages:\n\n`;
-      this.endpointToPages.forEach((pages, endpoint) => {
-        md += `**${endpoint}** leads to:\n`;
-        pages.forEach(page => {
-          md += `  - ${page}\n`;
-        });
-        md += `\n`;
-      });
-    }
-    
-    // Endpoints grouped by path pattern
-    md += `## 📋 API Endpoints\n\n`;
-    
-    // Group by base path
-    const grouped = new Map();
-    this.endpoints.forEach((endpoint, key) => {
-      const basePath = endpoint.path.split('/').slice(0, 3).join('/');
-      if (!grouped.has(basePath)) {
-        grouped.set(basePath, []);
-      }
-      grouped.get(basePath).push({ key, endpoint });
-    });
-    
-    // Sort groups by importance (tRPC, API, etc)
-    const sortedGroups = Array.from(grouped.entries()).sort(([a], [b]) => {
-      if (a.includes('trpc')) return -1;
-      if (b.includes('trpc')) return 1;
-      if (a.includes('api')) return -1;
-      if (b.includes('api')) return 1;
-      return a.localeCompare(b);
-    });
-    
-    sortedGroups.forEach(([basePath, endpoints]) => {
-      md += `### ${basePath}\n\n`;
-      
-      endpoints.forEach(({ key, endpoint }) => {
-        md += `#### ${endpoint.method} ${endpoint.path}\n\n`;
-        
-        // Query parameters
-        if (Object.keys(endpoint.query).length > 0) {
-          md += `**Query Parameters:**\n\`\`\`json\n${JSON.stringify(endpoint.query, null, 2)}\n\`\`\`\n\n`;
-        }
-        
-        // Request headers (important ones)
-        const importantHeaders = {};
-        const headerKeys = ['content-type', 'authorization', 'x-csrf-token', 'x-api-key'];
-        
-        if (endpoint.requests.length > 0) {
-          const headers = endpoint.requests[0].headers;
-          headerKeys.forEach(key => {
-            if (headers[key]) {
-              importantHeaders[key] = headers[key];
-            }
-          });
-          
-          if (Object.keys(importantHeaders).length > 0) {
-            md += `**Headers:**\n\`\`\`json\n${JSON.stringify(importantHeaders, null, 2)}\n\`\`\`\n\n`;
-          }
-        }
-        
-        // Request payload
-        if (endpoint.payloads.length > 0) {
-          md += `**Request Payload:**\n\`\`\`json\n`;
-          const payload = endpoint.payloads[0].data || endpoint.payloads[0].raw;
-          const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2);
-          md += payloadStr.length > 1000 ? payloadStr.substring(0, 1000) + '\n...' : payloadStr;
-          md += `\n\`\`\`\n\n`;
-        }
-        
-        // Response preview
-        if (endpoint.previewData.length > 0) {
-          md += `**Response Preview:**\n\`\`\`json\n`;
-          const preview = endpoint.previewData[0].preview;
-          const previewStr = typeof preview === 'string' ? preview : JSON.stringify(preview, null, 2);
-          md += previewStr;
-          md += `\n\`\`\`\n\n`;
-        }
-        
-        // Response status
-        if (endpoint.responses.length > 0) {
-          const resp = endpoint.responses[0];
-          md += `**Status:** ${resp.status} ${resp.statusText}\n\n`;
-        }
-        
-        // Discovered pages from this endpoint
-        if (endpoint.discoveredPages.size > 0) {
-          md += `**Discovered Pages:**\n`;
-          endpoint.discoveredPages.forEach(page => {
-            md += `- ${page}\n`;
-          });
-          md += `\n`;
-        }
-        
-        // Full example URL
-        md += `**Full URL Example:**\n\`\`\`\n${endpoint.url}\n\`\`\`\n\n`;
-        
-        md += `---\n\n`;
-      });
-    });
-    
-    // Usage examples
-    md += `## 💻 Usage Examples\n\n`;
-    md += `### Python Request Example\n\n`;
-    md += `\`\`\`python\nimport requests\nimport json\n\n`;
-    md += `# Headers with authentication\nheaders = {\n`;
-    
-    // Add discovered auth headers
-    let hasAuth = false;
-    this.endpoints.forEach(endpoint => {
-      if (endpoint.requests.length > 0) {
-        const headers = endpoint.requests[0].headers;
-        if (headers.authorization) {
-          md += `    'Authorization': '${headers.authorization}',\n`;
-          hasAuth = true;
-        }
-        if (headers['x-csrf-token']) {
-          md += `    'X-CSRF-Token': '${headers['x-csrf-token']}',\n`;
-          hasAuth = true;
-        }
-      }
-    });
-    
-    md += `    'Content-Type': 'application/json',\n`;
-    md += `    'Accept': 'application/json'\n`;
-    md += `}\n\n`;
-    
-    // Example API call
-    const firstEndpoint = Array.from(this.endpoints.values())[0];
-    if (firstEndpoint) {
-      md += `# Example API call\n`;
-      md += `response = requests.${firstEndpoint.method.toLowerCase()}(\n`;
-      md += `    '${firstEndpoint.url}',\n`;
-      md += `    headers=headers`;
-      if (firstEndpoint.payloads.length > 0) {
-        md += `,\n    json=${JSON.stringify(firstEndpoint.payloads[0].data || {})}`;
-      }
-      md += `\n)\n\n`;
-      md += `print(response.json())\n`;
-    }
-    
-    md += `\`\`\`\n\n`;
-    
-    // JavaScript/Fetch example
-    md += `### JavaScript/Fetch Example\n\n`;
-    md += `\`\`\`javascript\n`;
-    md += `const headers = {\n`;
-    if (hasAuth) {
-      this.endpoints.forEach(endpoint => {
-        if (endpoint.requests.length > 0) {
-          const headers = endpoint.requests[0].headers;
-          if (headers.authorization) {
-            md += `  'Authorization': '${headers.authorization}',\n`;
-            return;
-          }
-        }
-      });
-    }
-    md += `  'Content-Type': 'application/json',\n`;
-    md += `  'Accept': 'application/json'\n`;
-    md += `};\n\n`;
-    
-    if (firstEndpoint) {
-      md += `// Example API call\n`;
-      md += `fetch('${firstEndpoint.url}', {\n`;
-      md += `  method: '${firstEndpoint.method}',\n`;
-      md += `  headers: headers`;
-      if (firstEndpoint.payloads.length > 0) {
-        md += `,\n  body: JSON.stringify(${JSON.stringify(firstEndpoint.payloads[0].data || {})})`;
-      }
-      md += `\n})\n`;
-      md += `.then(response => response.json())\n`;
-      md += `.then(data => console.log(data));\n`;
-    }
-    
-    md += `\`\`\`\n\n`;
-    
-    md += `---\n\n`;
-    md += `*Generated by Comprehensive Capture Commander*\n`;
-    
-    return { markdown: md, filename };
-  }
-
-  async saveReport() {
-    const { markdown, filename } = this.generateMarkdown();
-    
-    await fs.writeFile(filename, markdown);
-    console.log(`\n📄 Report saved to ${filename}`);
-    
-    // Also save raw JSON for programmatic use
-    const jsonData = {
-      domain: this.domain,
-      capturedAt: new Date().toISOString(),
-      endpoints: Object.fromEntries(
-        Array.from(this.endpoints.entries()).map(([key, endpoint]) => [
-          key,
-          {
-            ...endpoint,
-            tokens: Array.from(endpoint.tokens),
-            discoveredPages: Array.from(endpoint.discoveredPages),
-            requests: endpoint.requests.slice(-3), // Last 3 requests
-            responses: endpoint.responses.slice(-3) // Last 3 responses
-          }
-        ])
-      ),
-      cookies: Object.fromEntries(this.cookies),
-      authTokens: Array.from(this.authTokens),
-      discoveredPages: Array.from(this.discoveredPages),
-      endpointToPages: Object.fromEntries(
-        Array.from(this.endpointToPages.entries()).map(([k, v]) => [k, Array.from(v)])
-      )
-    };
-    
-    const jsonFile = filename.replace('.md', '.json');
-    await fs.writeFile(jsonFile, JSON.stringify(jsonData, null, 2));
-    console.log(`📦 Raw data saved to ${jsonFile}`);
-  }
 }
 
 // Main execution
 async function main() {
-  const debugPort = process.argv[2] || '63812';
-  const targetUrl = process.argv[3] || 'https://fanvue.com/';
-  const duration = parseInt(process.argv[4]) || 60; // seconds
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const saveHar = process.argv.includes('--har');
+  const journal = !process.argv.includes('--no-journal');
+  const redaction = redactionFromArgs(process.argv);
+  const protos = protosFromArgs(process.argv);
+  const scope = scopeFromArgs(process.argv);
+  const guard = guardFromArgs(process.argv);
+  const readOnly = readOnlyFromArgs(process.argv);
+  const session = sessionFromArgs(process.argv);
+  const browser = browserFromArgs(process.argv, args[0] || '63812'); // port, CDP URL or "launch"
+  const targetUrl = args[1] || 'https://fanvue.com/';
+  const duration = parseInt(args[2]) || 60; // seconds
   
   console.log('🎯 Comprehensive Capture Commander');
   console.log('📡 Captures EVERYTHING + navigates automatically');
-  console.log(`🔌 AdsPower Port: ${debugPort}`);
+  console.log(`🔌 Browser: ${browser.browser}`);
   console.log(`🌐 Target: ${targetUrl}`);
   console.log(`⏱️ Duration: ${duration} seconds`);
+  if (session) console.log(`🔁 Session: ${session}`);
   
-  const recon = new ComprehensiveCaptureCommander(debugPort);
+  const recon = new ComprehensiveCaptureCommander(browser, { har: saveHar, journal, redaction, protos, scope, guard, readOnly, session });
   await recon.connect();
   
   await recon.performCapture(targetUrl, duration * 1000);
   await recon.saveReport();
+  await recon.disconnect();
   
   console.log('\n✨ Comprehensive capture complete! Check the endpoints.md file for complete documentation.');
 }
 
-main().catch(console.error);
\ No newline at end of file
+// Only run when invoked as a script, so the class can be imported
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
\ No newline at end of file
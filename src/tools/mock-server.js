@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Mock Server
+ * Replays a capture JSON as a local API until interrupted
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MockServer, mockFromArgs, unmatchedLogFilename } from '../lib/mock-server.js';
+import { redactionFromArgs } from '../lib/redaction.js';
+
+async function main() {
+  const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const captureFile = args[0];
+  if (!captureFile) {
+    console.log('Usage: node src/tools/mock-server.js <endpoints-{domain}.json> [port] [--latency=200|100-500] [--rules=<json|file>] [--unmatched-log=<file>] [--host=<host>]');
+    process.exit(1);
+  }
+
+  const capture = JSON.parse(await fs.readFile(captureFile, 'utf-8'));
+  const options = mockFromArgs(process.argv);
+  const server = new MockServer(capture, {
+    port: parseInt(args[1]) || 4010,
+    unmatchedLog: path.join(path.dirname(captureFile), unmatchedLogFilename(capture.domain)),
+    redaction: redactionFromArgs(process.argv),
+    ...options
+  });
+
+  await server.start();
+  if (options.latency) console.log(`🐢 Latency: ${typeof options.latency === 'number' ? options.latency : `${options.latency.min}-${options.latency.max}`}ms`);
+  if (options.rules) console.log(`📏 Rules: ${options.rules.length}`);
+  console.log(`📝 Unmatched requests: ${server.unmatchedLog}`);
+  console.log('Press Ctrl+C to stop.\n');
+
+  process.on('SIGINT', async () => {
+    const { hits, unmatched } = server.summary();
+    await server.stop();
+    console.log(`\n✨ Served ${Object.values(hits).reduce((sum, count) => sum + count, 0)} matched and ${unmatched.reduce((sum, { count }) => sum + count, 0)} unmatched requests`);
+    process.exit(0);
+  });
+}
+
+// Only run when invoked as a script
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(console.error);
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockServer } from '../src/lib/mock-server.js';
+
+const capture = {
+  domain: 'ex.com',
+  endpoints: {
+    'POST /api/login': {
+      method: 'POST',
+      path: '/api/login',
+      url: 'https://ex.com/api/login',
+      requests: [{ requestId: '1', url: 'https://ex.com/api/login', headers: {} }],
+      responses: [{
+        requestId: '1',
+        status: 200,
+        headers: {
+          'content-type': 'application/json',
+          // Repeated headers as the browser reports them
+          'set-cookie': 'session=abc; Path=/; HttpOnly\ntheme=dark; Path=/'
+        },
+        body: { ok: true }
+      }]
+    }
+  }
+};
+
+test('replays every cookie of a multi-cookie response', async () => {
+  const server = new MockServer(capture, { port: 0, log: () => {} });
+  await server.start();
+  try {
+    const response = await fetch(`${server.url}/api/login`, { method: 'POST' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.headers.getSetCookie(), ['session=abc; Path=/; HttpOnly', 'theme=dark; Path=/']);
+    assert.deepEqual(await response.json(), { ok: true });
+  } finally {
+    await server.stop();
+  }
+});
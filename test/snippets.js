@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestExample, curlSnippet } from '../src/lib/snippets.js';
+import { Redactor } from '../src/lib/redaction.js';
+
+const endpoint = method => ({
+  method,
+  url: 'https://ex.com/api/files/1',
+  examples: [],
+  requests: [{ headers: { accept: '*/*' } }],
+  payloads: []
+});
+
+test('HEAD requests render as curl -I', () => {
+  const snippet = curlSnippet(requestExample(endpoint('HEAD'), new Redactor()));
+  assert.equal(snippet.split(' \\\n')[0], "curl -I 'https://ex.com/api/files/1'");
+  assert.doesNotMatch(snippet, /-X HEAD/);
+});
+
+test('other methods keep -X, GET needs none', () => {
+  assert.match(curlSnippet(requestExample(endpoint('DELETE'), new Redactor())), /^curl -X DELETE /);
+  assert.match(curlSnippet(requestExample(endpoint('GET'), new Redactor())), /^curl 'https:/);
+});